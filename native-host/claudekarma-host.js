@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+/**
+ * ClaudeKarma - Native Messaging Host
+ *
+ * Two modes:
+ * - Started by the browser (native messaging): reads status messages from
+ *   the extension and writes them to ~/.claudekarma/status.json, and sums
+ *   up Claude Code transcripts (~/.claude/projects/<project>/<session>.jsonl) on request
+ * - Started from a terminal: prints the last status, for shell prompts and
+ *   Claude Code status lines
+ *
+ *   claudekarma-host.js status          "S 42% · W 18% · peak"
+ *   claudekarma-host.js status --json   the raw status file
+ *
+ * Protocol (native messaging framing: 32-bit length + UTF-8 JSON):
+ *   extension → host  { type: 'status', status }   write status file
+ *                     { type: 'transcripts', since }  answered with { type: 'transcripts', since, buckets, files }
+ *                                                  (or { type: 'transcripts', since, error })
+ *                     { type: 'ping' }             answered with { type: 'pong', version }
+ *   host → extension  { type: 'ack', updatedAt }   after each write
+ *                     { type: 'error', error }
+ *
+ * No dependencies, Node 16+.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+
+const PROTOCOL_VERSION = 1;
+const STATUS_DIR = process.env.CLAUDEKARMA_DIR || path.join(os.homedir(), '.claudekarma');
+const STATUS_FILE = path.join(STATUS_DIR, 'status.json');
+
+// Data older than this is flagged in the terminal output
+const STALE_MS = 15 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Where Claude Code keeps transcripts (CLAUDE_CONFIG_DIR, legacy and XDG locations)
+const TRANSCRIPT_ROOTS = [
+  process.env.CLAUDE_CONFIG_DIR,
+  path.join(os.homedir(), '.claude'),
+  path.join(os.homedir(), '.config', 'claude')
+].filter(Boolean).map(dir => path.join(dir, 'projects'));
+
+// ============================================
+// Status File
+// ============================================
+
+function writeStatus(status) {
+  fs.mkdirSync(STATUS_DIR, { recursive: true });
+
+  // Write then rename so readers never see a half-written file
+  const tmp = STATUS_FILE + '.' + process.pid + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(status, null, 2));
+  fs.renameSync(tmp, STATUS_FILE);
+}
+
+function readStatus() {
+  try {
+    return JSON.parse(fs.readFileSync(STATUS_FILE, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// ============================================
+// Claude Code Transcripts
+// ============================================
+
+/**
+ * Transcript files modified at or after `since`
+ */
+function listTranscripts(since) {
+  const files = [];
+  for (const root of new Set(TRANSCRIPT_ROOTS)) {
+    let projects;
+    try {
+      projects = fs.readdirSync(root, { withFileTypes: true });
+    } catch (e) {
+      continue;
+    }
+    for (const project of projects) {
+      if (!project.isDirectory()) continue;
+      const dir = path.join(root, project.name);
+      for (const name of fs.readdirSync(dir)) {
+        if (!name.endsWith('.jsonl')) continue;
+        const file = path.join(dir, name);
+        if (fs.statSync(file).mtimeMs >= since) files.push({ file, projectDir: project.name });
+      }
+    }
+  }
+  return files;
+}
+
+/**
+ * Sum token usage per hour, project and model for assistant messages
+ * at or after `since`.
+ *
+ * Claude Code writes one line per content block, each repeating the
+ * message's usage, so messages are counted once by id.
+ *
+ * @returns {Promise<{ buckets: Array, files: number }>} buckets:
+ *   { t: hour start, p: project, m: model, i: input, o: output,
+ *     cc: cache writes, cr: cache reads, n: messages }
+ */
+async function summarizeTranscripts(since) {
+  const files = listTranscripts(since);
+  const buckets = new Map();
+  const seen = new Set();
+
+  for (const { file, projectDir } of files) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        continue;
+      }
+
+      const message = entry.message;
+      const usage = message?.usage;
+      if (entry.type !== 'assistant' || !usage || !message.model || message.model === '<synthetic>') continue;
+
+      const t = Date.parse(entry.timestamp);
+      if (!(t >= since)) continue;
+
+      const id = (message.id || '') + ':' + (entry.requestId || '');
+      if (message.id && seen.has(id)) continue;
+      seen.add(id);
+
+      // cwd names the project; the directory name is its path with / turned into -
+      const project = entry.cwd ? path.basename(entry.cwd) : projectDir;
+      const hour = Math.floor(t / HOUR_MS) * HOUR_MS;
+      const key = hour + '|' + project + '|' + message.model;
+
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        bucket = { t: hour, p: project, m: message.model, i: 0, o: 0, cc: 0, cr: 0, n: 0 };
+        buckets.set(key, bucket);
+      }
+      bucket.i += usage.input_tokens || 0;
+      bucket.o += usage.output_tokens || 0;
+      bucket.cc += usage.cache_creation_input_tokens || 0;
+      bucket.cr += usage.cache_read_input_tokens || 0;
+      bucket.n += 1;
+    }
+  }
+
+  return { buckets: [...buckets.values()], files: files.length };
+}
+
+// ============================================
+// Native Messaging
+// ============================================
+
+function send(message) {
+  const body = Buffer.from(JSON.stringify(message), 'utf8');
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(body.length, 0);
+  process.stdout.write(Buffer.concat([header, body]));
+}
+
+function handleMessage(message) {
+  switch (message?.type) {
+    case 'status':
+      try {
+        writeStatus({ ...message.status, protocol: PROTOCOL_VERSION });
+        send({ type: 'ack', updatedAt: message.status?.updatedAt || null });
+      } catch (error) {
+        send({ type: 'error', error: error.message });
+      }
+      break;
+
+    case 'transcripts': {
+      // Whole hours, so the extension can replace everything from `since` on
+      const since = Math.floor((Number(message.since) || 0) / HOUR_MS) * HOUR_MS;
+      summarizeTranscripts(since)
+        .then(({ buckets, files }) => send({ type: 'transcripts', since, buckets, files }))
+        .catch(error => send({ type: 'transcripts', since, error: error.message }));
+      break;
+    }
+
+    case 'ping':
+      send({ type: 'pong', version: PROTOCOL_VERSION });
+      break;
+
+    default:
+      send({ type: 'error', error: 'Unknown message' });
+  }
+}
+
+function runHost() {
+  let buffer = Buffer.alloc(0);
+
+  process.stdin.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    while (buffer.length >= 4) {
+      const length = buffer.readUInt32LE(0);
+      if (buffer.length < 4 + length) break;
+
+      const body = buffer.subarray(4, 4 + length).toString('utf8');
+      buffer = buffer.subarray(4 + length);
+
+      try {
+        handleMessage(JSON.parse(body));
+      } catch (error) {
+        send({ type: 'error', error: 'Invalid JSON' });
+      }
+    }
+  });
+
+  // Browser closed the port
+  process.stdin.on('end', () => process.exit(0));
+}
+
+// ============================================
+// Terminal Output
+// ============================================
+
+function formatStatusLine(status) {
+  if (!status) return 'ClaudeKarma: no data';
+
+  const parts = [
+    `S ${Math.round(status.session?.percentage ?? 0)}%`,
+    `W ${Math.round(status.weekly?.percentage ?? 0)}%`
+  ];
+  if (status.peak?.state === 'peak') parts.push('peak');
+  if (status.degraded) parts.push('?');
+  if (Date.now() - (status.updatedAt || 0) > STALE_MS) parts.push('stale');
+
+  return parts.join(' · ');
+}
+
+function runCli(args) {
+  const status = readStatus();
+
+  if (args.includes('--json')) {
+    process.stdout.write(JSON.stringify(status, null, 2) + '\n');
+  } else {
+    process.stdout.write(formatStatusLine(status) + '\n');
+  }
+  process.exit(status ? 0 : 1);
+}
+
+// Browsers pass the caller's origin (Chrome) or manifest path (Firefox) as the first argument
+const args = process.argv.slice(2);
+if (args[0] === 'status') {
+  runCli(args.slice(1));
+} else {
+  runHost();
+}
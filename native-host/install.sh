@@ -0,0 +1,55 @@
+#!/bin/sh
+# Register the ClaudeKarma native messaging host for Chrome and Firefox.
+#
+#   ./install.sh <chrome-extension-id>
+#
+# The Chrome extension ID is shown on chrome://extensions (developer mode).
+# Firefox uses the fixed ID from manifest.json.
+
+set -e
+
+HOST_NAME="com.claudekarma.status"
+FIREFOX_ID="claudekarma@jrtech.dev"
+DIR="$(cd "$(dirname "$0")" && pwd)"
+HOST_PATH="$DIR/claudekarma-host.js"
+CHROME_ID="$1"
+
+if [ -z "$CHROME_ID" ]; then
+  echo "Usage: $0 <chrome-extension-id>" >&2
+  exit 1
+fi
+
+chmod +x "$HOST_PATH"
+
+case "$(uname -s)" in
+  Darwin)
+    CHROME_DIRS="$HOME/Library/Application Support/Google/Chrome/NativeMessagingHosts
+$HOME/Library/Application Support/Chromium/NativeMessagingHosts
+$HOME/Library/Application Support/BraveSoftware/Brave-Browser/NativeMessagingHosts
+$HOME/Library/Application Support/Microsoft Edge/NativeMessagingHosts"
+    FIREFOX_DIR="$HOME/Library/Application Support/Mozilla/NativeMessagingHosts"
+    ;;
+  *)
+    CHROME_DIRS="$HOME/.config/google-chrome/NativeMessagingHosts
+$HOME/.config/chromium/NativeMessagingHosts
+$HOME/.config/BraveSoftware/Brave-Browser/NativeMessagingHosts
+$HOME/.config/microsoft-edge/NativeMessagingHosts"
+    FIREFOX_DIR="$HOME/.mozilla/native-messaging-hosts"
+    ;;
+esac
+
+echo "$CHROME_DIRS" | while IFS= read -r target; do
+  [ -d "$(dirname "$target")" ] || continue
+  mkdir -p "$target"
+  sed -e "s|HOST_PATH|$HOST_PATH|" -e "s|EXTENSION_ID|$CHROME_ID|" \
+    "$DIR/$HOST_NAME.json" > "$target/$HOST_NAME.json"
+  echo "Installed for $(dirname "$target")"
+done
+
+if [ -d "$(dirname "$FIREFOX_DIR")" ]; then
+  mkdir -p "$FIREFOX_DIR"
+  sed -e "s|HOST_PATH|$HOST_PATH|" \
+    -e "s|\"allowed_origins\": \[ \"chrome-extension://EXTENSION_ID/\" \]|\"allowed_extensions\": [ \"$FIREFOX_ID\" ]|" \
+    "$DIR/$HOST_NAME.json" > "$FIREFOX_DIR/$HOST_NAME.json"
+  echo "Installed for Firefox"
+fi
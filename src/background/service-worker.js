@@ -8,8 +8,26 @@
  * - Stores usage data in chrome.storage.local
  */
 
-import { ALARMS, TIMING, MESSAGE_TYPES, STORAGE_KEYS } from '../lib/constants.js';
+import {
+  ALARMS, TIMING, MESSAGE_TYPES, EXTERNAL_MESSAGE_TYPES, EXTERNAL_PORT_NAME, NATIVE_HOST_NAME,
+  STORAGE_KEYS, FETCH_STATES, DEFAULT_SETTINGS, formatPlanTier
+} from '../lib/constants.js';
 import * as storage from '../lib/storage.js';
+import { fetchJSON, FetchError, backoffDelay } from '../lib/fetch-client.js';
+import { computeRefreshDelay } from '../lib/refresh-scheduler.js';
+import { listLimits } from '../lib/limits.js';
+import { forecastLimits, forecastHistoryStart } from '../lib/forecast.js';
+import { computeWeeklyPace } from '../lib/pacing.js';
+import { computeRoutinesReset } from '../lib/routines.js';
+import { getCurrentPeakState } from '../lib/peak-schedule.js';
+import { validateUsageResponse, isLimitDegraded } from '../lib/usage-schema.js';
+import { trackSession, pruneSessions } from '../lib/sessions.js';
+import { parseStatusSummary } from '../lib/service-status.js';
+import {
+  WEBHOOK_EVENTS, renderWebhookBody, sendWebhook, webhookOriginPattern
+} from '../lib/webhooks.js';
+import { METRICS_FORMATS, buildMetricPoints, buildMetricsRequests, sendMetrics } from '../lib/metrics-export.js';
+import { findClaudeTab, fetchViaTab } from '../lib/tab-transport.js';
 import { updateIcon, startAnimation, stopAnimation } from '../lib/icon-renderer.js';
 
 // ============================================
@@ -38,15 +56,21 @@ chrome.runtime.onInstalled.addListener(async (details) => {
     await storage.setUsageData(existingData);
   }
 
-  await setupAlarm();
-  await fetchUsageData();
+  await scheduleNextFetch();
+  await setupServiceStatusAlarm();
+  await setupPeakAlarm();
+  await scheduleMetricsFlush();
+  await fetchUnlessBackingOff();
   await refreshIcon();
 });
 
 chrome.runtime.onStartup.addListener(async () => {
   console.log('[ClaudeKarma] Extension started');
-  await setupAlarm();
-  await fetchUsageData();
+  await scheduleNextFetch();
+  await setupServiceStatusAlarm();
+  await setupPeakAlarm();
+  await scheduleMetricsFlush();
+  await fetchUnlessBackingOff();
   await refreshIcon();
 });
 
@@ -54,122 +78,629 @@ chrome.runtime.onStartup.addListener(async () => {
 // Alarm Management
 // ============================================
 
-async function setupAlarm() {
+/**
+ * When a failed fetch is being backed off, the time its retry alarm is due
+ * @returns {Promise<number|null>}
+ */
+async function getBackoffUntil() {
+  const { nextRetryAt } = await storage.getFetchState();
+  return nextRetryAt && nextRetryAt > Date.now() ? nextRetryAt : null;
+}
+
+/**
+ * Regular fetch (startup, worker wake-up, fetch alarm), left to the retry
+ * alarm while backing off
+ */
+async function fetchUnlessBackingOff() {
+  const backoffUntil = await getBackoffUntil();
+  if (backoffUntil) {
+    console.log('[ClaudeKarma] Backing off until ' + new Date(backoffUntil).toISOString() + ', not fetching');
+    return { state: FETCH_STATES.SKIPPED };
+  }
+  return fetchUsageData();
+}
+
+/**
+ * Re-arm the fetch alarm with an adaptive delay (see refresh-scheduler.js).
+ * The alarm stays periodic so polling continues even if the worker dies
+ * before the next reschedule. While backing off, the regular cadence
+ * resumes only after the retry.
+ */
+async function scheduleNextFetch() {
   const settings = await storage.getSettings();
-  const interval = settings.refreshInterval || TIMING.REFRESH_INTERVAL_MINUTES;
-  await chrome.alarms.clear(ALARMS.FETCH_USAGE);
+  const base = settings.refreshInterval || TIMING.REFRESH_INTERVAL_MINUTES;
+
+  let minutes = base;
+  let reason = 'fixed';
+
+  if (settings.adaptiveRefresh !== false) {
+    const now = Date.now();
+    const [history, usageData, idleState, claudeTabActive] = await Promise.all([
+      storage.getUsageHistory(now - 4 * 60 * 60 * 1000, now, settings.organizationId),
+      storage.getUsageData(),
+      chrome.idle.queryState(TIMING.IDLE_DETECTION_SECONDS),
+      isClaudeTabActive()
+    ]);
+
+    ({ minutes, reason } = computeRefreshDelay({
+      baseMinutes: base,
+      history,
+      usageData,
+      idleState,
+      online: navigator.onLine,
+      claudeTabActive,
+      now
+    }));
+  }
+
+  const backoffUntil = await getBackoffUntil();
+  const delay = backoffUntil ? (backoffUntil - Date.now()) / 60000 + minutes : minutes;
+
   chrome.alarms.create(ALARMS.FETCH_USAGE, {
-    delayInMinutes: 0.1,
-    periodInMinutes: interval
+    delayInMinutes: delay,
+    periodInMinutes: minutes
   });
-  console.log('[ClaudeKarma] Alarm set: refresh every ' + interval + ' minutes');
+  console.log('[ClaudeKarma] Next fetch in ' + Math.round(delay * 10) / 10 + ' min (' + reason +
+    (backoffUntil ? ', after the retry' : '') + ')');
+}
+
+async function isClaudeTabActive() {
+  try {
+    const tabs = await chrome.tabs.query({ active: true, lastFocusedWindow: true, url: 'https://claude.ai/*' });
+    return tabs.length > 0;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * The user came back (unlocked, back online, opened claude.ai): fetch now
+ * if the data is stale, then return to the normal cadence.
+ * While backing off after a failure the retry alarm fetches instead; only
+ * coming back online is news enough to try early.
+ */
+async function resumeRefresh(trigger) {
+  console.log('[ClaudeKarma] Resuming refresh: ' + trigger);
+  const backoffUntil = await getBackoffUntil();
+  if (backoffUntil && trigger !== 'online') {
+    console.log('[ClaudeKarma] Backing off until ' + new Date(backoffUntil).toISOString() + ', not fetching');
+    return;
+  }
+
+  const lastFetch = await storage.getLastFetchTime();
+  if (!lastFetch || Date.now() - lastFetch >= TIMING.RESUME_STALE_MS) {
+    await fetchUsageData();
+  }
+  await scheduleNextFetch();
 }
 
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name === ALARMS.FETCH_USAGE) {
     console.log('[ClaudeKarma] Alarm triggered');
-    await fetchUsageData();
+    await fetchUnlessBackingOff();
+    await scheduleNextFetch();
+  } else if (alarm.name === ALARMS.RETRY_FETCH) {
+    console.log('[ClaudeKarma] Retry alarm triggered');
+    // Already spaced out by backoff, so don't let the throttle swallow it
+    await fetchUsageData({ force: true });
+  } else if (alarm.name === ALARMS.SERVICE_STATUS) {
+    await pollServiceStatus();
+  } else if (alarm.name === ALARMS.WEBHOOK_RETRY) {
+    await processWebhookQueue();
+  } else if (alarm.name === ALARMS.PEAK_CHANGE) {
+    await handlePeakChange(alarm);
+  } else if (alarm.name === ALARMS.METRICS_FLUSH) {
+    await flushMetrics();
+  } else if (alarm.name === ALARMS.CLI_USAGE_SCAN) {
+    await requestCliUsage();
+  } else if (alarm.name.startsWith(ALARMS.LIMIT_RESET_PREFIX)) {
+    await handleLimitReset(alarm.name.slice(ALARMS.LIMIT_RESET_PREFIX.length));
+  }
+});
+
+chrome.idle.setDetectionInterval(TIMING.IDLE_DETECTION_SECONDS);
+
+chrome.idle.onStateChanged.addListener(async (state) => {
+  if (state === 'active') {
+    await resumeRefresh('idle_active');
+  } else {
+    await scheduleNextFetch();
+  }
+});
+
+self.addEventListener('online', () => resumeRefresh('online'));
+self.addEventListener('offline', () => scheduleNextFetch());
+
+chrome.tabs.onActivated.addListener(async ({ tabId }) => {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    if (tab.url && tab.url.startsWith('https://claude.ai/')) {
+      await resumeRefresh('claude_tab_activated');
+    }
+  } catch (e) { /* Tab closed before we could inspect it */ }
+});
+
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (changeInfo.status === 'complete' && tab.active && tab.url && tab.url.startsWith('https://claude.ai/')) {
+    await resumeRefresh('claude_tab_loaded');
+  }
+});
+
+// ============================================
+// Session Changes (login / logout / account switch)
+// ============================================
+
+const SESSION_COOKIE = 'sessionKey';
+let sessionCheckTimer = null;
+
+/**
+ * Login and logout each fire a burst of cookie and navigation events;
+ * act once, after they settle.
+ */
+function scheduleSessionCheck(reason) {
+  clearTimeout(sessionCheckTimer);
+  sessionCheckTimer = setTimeout(() => {
+    handleSessionChange(reason).catch(error => {
+      console.error('[ClaudeKarma] Session change handling failed:', error);
+    });
+  }, TIMING.SESSION_CHANGE_DEBOUNCE_MS);
+}
+
+async function handleSessionChange(reason) {
+  console.log('[ClaudeKarma] Session change: ' + reason);
+  const settings = await storage.getSettings();
+
+  if (reason === 'logout') {
+    // Show the login prompt now rather than at the next alarm
+    await handleNotAuthenticated(settings.organizationId || null);
+    await broadcastUsageData();
+    return;
+  }
+
+  // Logged in (maybe as someone else): re-detect orgs, which also
+  // notices an account switch and drops the previous account's data
+  const { accountId: previousAccountId } = await storage.getOrganizations();
+  const { accountId } = await getOrganizations(true);
+  const usageData = await storage.getUsageData();
+
+  const needsFetch = accountId !== previousAccountId ||
+    usageData.error === FETCH_STATES.NOT_AUTHENTICATED ||
+    !settings.organizationId;
+  if (needsFetch) {
+    await fetchUsageData({ force: true });
+    await scheduleNextFetch();
+  }
+}
+
+/**
+ * After a change that didn't come through saveUsageData(), let an open
+ * popup re-render from storage.
+ */
+async function broadcastUsageData() {
+  const settings = await storage.getSettings();
+  try {
+    await chrome.runtime.sendMessage({
+      type: MESSAGE_TYPES.USAGE_DATA_UPDATED,
+      orgId: settings.organizationId || null,
+      data: await storage.getUsageData()
+    });
+  } catch (e) { /* Popup not open */ }
+}
+
+/**
+ * A different claude.ai account logged in
+ */
+async function handleAccountSwitch() {
+  console.log('[ClaudeKarma] Account switched, clearing previous account data');
+
+  const resetAlarms = (await chrome.alarms.getAll())
+    .filter(a => a.name.startsWith(ALARMS.LIMIT_RESET_PREFIX));
+  for (const alarm of resetAlarms) {
+    await chrome.alarms.clear(alarm.name);
+  }
+  await chrome.alarms.clear(ALARMS.RETRY_FETCH);
+  // Their queues are emptied below: nothing left to deliver
+  await chrome.alarms.clear(ALARMS.WEBHOOK_RETRY);
+  await chrome.alarms.clear(ALARMS.METRICS_FLUSH);
+
+  await storage.clearAccountData();
+  await refreshIcon();
+  await broadcastUsageData();
+}
+
+chrome.cookies?.onChanged.addListener(({ cookie, removed, cause }) => {
+  if (cookie.name !== SESSION_COOKIE || !cookie.domain.endsWith('claude.ai')) return;
+
+  // A renewed cookie is removed ('overwrite') then re-added: only the add matters
+  if (removed && cause === 'overwrite') return;
+  scheduleSessionCheck(removed ? 'logout' : 'login');
+});
+
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo) => {
+  if (!changeInfo.url || !changeInfo.url.startsWith('https://claude.ai/')) return;
+
+  const path = new URL(changeInfo.url).pathname;
+  if (path.startsWith('/logout')) {
+    scheduleSessionCheck('logout');
+    return;
+  }
+
+  // Landing on the app while we think we're logged out = just logged in
+  if (!path.startsWith('/login')) {
+    const usageData = await storage.getUsageData();
+    if (usageData.error === FETCH_STATES.NOT_AUTHENTICATED) {
+      scheduleSessionCheck('login');
+    }
   }
 });
 
+// ============================================
+// Request Transport
+// ============================================
+
+/**
+ * fetch() for claude.ai requests. Normally the worker's own; when it is
+ * turned away although the cookie store says we're logged in, cookies
+ * are being stripped from the worker (Brave shields, Firefox strict
+ * tracking protection), and requests go through an open claude.ai tab
+ * instead (see lib/tab-transport.js). The choice is remembered in the
+ * fetch state and re-checked every TAB_TRANSPORT_RECHECK_MS.
+ */
+async function claudeFetch(url, init) {
+  const { transport, transportSince } = await storage.getFetchState();
+  const recheck = transport === 'tab' && Date.now() - (transportSince || 0) > TIMING.TAB_TRANSPORT_RECHECK_MS;
+
+  if (transport === 'tab' && !recheck) {
+    const tab = await findClaudeTab();
+    if (tab) {
+      try {
+        return await fetchViaTab(tab.id, url, init);
+      } catch (error) {
+        console.warn('[ClaudeKarma] Tab fetch failed, trying directly:', error.message);
+      }
+    }
+  }
+
+  const response = await fetch(url, init);
+  if (response.status !== 401 && response.status !== 403) {
+    if (recheck) {
+      console.log('[ClaudeKarma] Cookies reach the service worker again, fetching directly');
+      await storage.setFetchState({ transport: 'worker', transportSince: Date.now() });
+    }
+    return response;
+  }
+
+  return (await fetchThroughTabInstead(url, init)) || response;
+}
+
+/**
+ * The worker's request was refused: retry it from a claude.ai tab if the
+ * session cookie exists. Returns null when that isn't possible or the tab
+ * is refused too (really logged out).
+ */
+async function fetchThroughTabInstead(url, init) {
+  const cookie = await chrome.cookies?.get({ url: 'https://claude.ai', name: SESSION_COOKIE }).catch(() => null);
+  if (!cookie) return null;
+
+  const tab = await findClaudeTab();
+  if (!tab) {
+    console.log('[ClaudeKarma] Session cookie present but not sent; open a claude.ai tab to fetch through it');
+    return null;
+  }
+
+  try {
+    const response = await fetchViaTab(tab.id, url, init);
+    if (response.status === 401 || response.status === 403) return null;
+
+    const { transport } = await storage.getFetchState();
+    if (transport !== 'tab') {
+      console.log('[ClaudeKarma] Cookies blocked in the service worker, fetching through a claude.ai tab');
+    }
+    await storage.setFetchState({ transport: 'tab', transportSince: Date.now() });
+    return response;
+  } catch (error) {
+    console.warn('[ClaudeKarma] Tab fetch failed:', error.message);
+    return null;
+  }
+}
+
 // ============================================
 // API Data Fetching
 // ============================================
 
+// The fetch currently running, shared by every caller (single-flight)
+let inFlightFetch = null;
+
+/**
+ * Fetch usage data, de-duplicated: while a fetch is running, every caller
+ * (alarms, startup, popup refresh...) gets the same promise.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Bypass MIN_FETCH_INTERVAL_MS (manual refresh)
+ * @returns {Promise<{ state: string }>} Outcome: FETCH_STATES.OK, SKIPPED or the failure state
+ */
+function fetchUsageData(options) {
+  const force = !!options?.force;
+
+  if (inFlightFetch) {
+    console.log('[ClaudeKarma] Fetch already running, joining it');
+    // A forced caller must not settle for a throttled no-op
+    return force
+      ? inFlightFetch.then(outcome =>
+          outcome.state === FETCH_STATES.SKIPPED ? fetchUsageData(options) : outcome)
+      : inFlightFetch;
+  }
+
+  inFlightFetch = runUsageFetch({ force })
+    .catch(onFetchCrashed)
+    .finally(() => { inFlightFetch = null; });
+
+  return inFlightFetch;
+}
+
 /**
  * Main fetch function - tries multiple strategies
+ *
+ * Every known organization is fetched; settings.organizationId is the
+ * "primary" one mirrored into usageData and shown on the toolbar icon.
+ *
+ * Failure handling (see FETCH_STATES):
+ * - offline / rate_limited / server_error: keep last good data, back off via RETRY_FETCH alarm
+ * - org_not_found: re-discover organizations
+ * - not_authenticated / parse_error: fall through to the content script
  */
-async function fetchUsageData() {
-  console.log('[ClaudeKarma] Fetching usage data...');
+async function runUsageFetch({ force }) {
+  console.log('[ClaudeKarma] Fetching usage data...' + (force ? ' (forced)' : ''));
 
   const lastFetch = await storage.getLastFetchTime();
-  if (lastFetch && Date.now() - lastFetch < TIMING.MIN_FETCH_INTERVAL_MS) {
+  if (!force && lastFetch && Date.now() - lastFetch < TIMING.MIN_FETCH_INTERVAL_MS) {
     console.log('[ClaudeKarma] Skipping - too recent');
-    return;
+    return { state: FETCH_STATES.SKIPPED };
   }
 
   // Start spinning animation while loading
   startAnimation('spin');
 
-  // Strategy 1: Try the organization API (requires org ID)
+  // Strategy 1: Try the organization API for the primary and every known org
+  // (organizations first: re-discovery may notice an account switch and reset the primary)
+  const { list: knownOrgs } = await getOrganizations(false);
   const settings = await storage.getSettings();
+  let error = null;
   if (settings.organizationId) {
-    const success = await fetchFromOrgAPI(settings.organizationId);
-    if (success) return;
+    error = await fetchAllOrganizations(settings.organizationId, knownOrgs);
+    if (!error) return onFetchSucceeded();
   }
 
-  // Strategy 2: Try to get org ID from bootstrap data
-  const orgId = await fetchOrganizationId();
-  if (orgId) {
-    // Save for future use
-    await storage.setSettings({ organizationId: orgId });
-    const success = await fetchFromOrgAPI(orgId);
-    if (success) return;
+  // Strategy 2: Re-discover organizations from bootstrap/account data
+  // (only helps when there is no org ID yet or the saved one is wrong)
+  if (!error || error.state === FETCH_STATES.ORG_NOT_FOUND) {
+    const { list: orgs } = settings.organizationId
+      ? await getOrganizations(true)
+      : { list: knownOrgs };
+    if (orgs.length > 0) {
+      // Keep the user's primary choice if it still exists, else take the first
+      const primaryOrgId = orgs.some(o => o.id === settings.organizationId)
+        ? settings.organizationId
+        : orgs[0].id;
+      await storage.setSettings({ organizationId: primaryOrgId });
+      error = await fetchAllOrganizations(primaryOrgId, orgs);
+      if (!error) return onFetchSucceeded();
+    }
+  }
+
+  // Transient failure: keep showing last good data and retry later
+  if (error?.retryable) {
+    await scheduleRetry(error);
+    await refreshIcon();
+    return { state: error.state };
   }
 
   // Strategy 3: Fall back to content script
-  await triggerContentScript();
+  const scrapedInTab = await triggerContentScript();
+
+  // Strategy 4: Load the usage page out of sight and scrape it there
+  // (pointless when logged out: the page would only show a login screen).
+  // Not awaited: it can take BACKGROUND_SCRAPE_TIMEOUT_MS and reports through
+  // USAGE_DATA_SCRAPED, so callers joining this fetch shouldn't wait for it
+  if (!scrapedInTab && error?.state !== FETCH_STATES.NOT_AUTHENTICATED) {
+    startBackgroundScrape();
+  }
 
   // If we still have no org ID after all strategies, mark as needs setup
   const finalSettings = await storage.getSettings();
   if (!finalSettings.organizationId) {
     const usageData = await storage.getUsageData();
-    usageData.error = 'needs_setup';
+    usageData.error = FETCH_STATES.NEEDS_SETUP;
     usageData.lastFetchedAt = Date.now();
     await storage.setUsageData(usageData);
 
     // Stop animation and show empty state
     await stopAnimation(0, 0);
+    return { state: FETCH_STATES.NEEDS_SETUP };
+  }
+
+  if (error && error.state !== FETCH_STATES.NOT_AUTHENTICATED) {
+    await refreshIcon();
+  }
+  return { state: error ? error.state : FETCH_STATES.NEEDS_SETUP };
+}
+
+/**
+ * A bug in the fetch itself, not a failed request: stop the spinner and
+ * retry with backoff, recorded as unusable data rather than a server error
+ */
+async function onFetchCrashed(crash) {
+  console.error('[ClaudeKarma] Fetch crashed:', crash);
+  const error = new FetchError(FETCH_STATES.PARSE_ERROR, 'Fetch crashed: ' + (crash?.message || crash));
+
+  try {
+    await scheduleRetry(error);
+  } catch (e) {
+    console.error('[ClaudeKarma] Scheduling a retry after the crash failed:', e);
+  }
+  await refreshIcon();
+  return { state: error.state };
+}
+
+async function onFetchSucceeded() {
+  await resetBackoff();
+  return { state: FETCH_STATES.OK };
+}
+
+/**
+ * Schedule a one-shot retry with exponential backoff (or the server's
+ * Retry-After), and expose the retry time to the popup.
+ */
+async function scheduleRetry(error) {
+  const { attempt } = await storage.getFetchState();
+  const delay = Math.max(
+    TIMING.FETCH_BACKOFF_BASE_MS,
+    error.retryAfterMs ?? backoffDelay(attempt, TIMING.FETCH_BACKOFF_BASE_MS, TIMING.FETCH_BACKOFF_MAX_MS)
+  );
+  const retryAt = Date.now() + delay;
+
+  chrome.alarms.create(ALARMS.RETRY_FETCH, { when: retryAt });
+  await storage.setFetchState({ attempt: attempt + 1, nextRetryAt: retryAt });
+
+  const settings = await storage.getSettings();
+  await recordFetchFailure(settings.organizationId, error, retryAt);
+
+  console.log('[ClaudeKarma] ' + error.state + ': retry #' + (attempt + 1) + ' in ' + Math.round(delay / 1000) + 's');
+}
+
+/**
+ * Clear backoff after a successful fetch
+ */
+async function resetBackoff() {
+  const { attempt } = await storage.getFetchState();
+  if (attempt === 0) return;
+
+  await chrome.alarms.clear(ALARMS.RETRY_FETCH);
+  await storage.setFetchState({ attempt: 0, nextRetryAt: null });
+}
+
+/**
+ * Fetch usage for the primary organization and every other known one.
+ * Returns the primary organization's FetchError, or null on success.
+ */
+async function fetchAllOrganizations(primaryOrgId, orgs) {
+  await storage.migrateLegacyHistory(primaryOrgId);
+
+  const primaryError = await fetchFromOrgAPI(primaryOrgId);
+
+  // Secondary orgs never block or fail the primary fetch
+  for (const org of orgs) {
+    if (org.id === primaryOrgId) continue;
+    try {
+      await fetchFromOrgAPI(org.id);
+    } catch (error) {
+      console.error('[ClaudeKarma] Fetch for ' + org.id + ' failed:', error);
+    }
   }
+
+  return primaryError;
 }
 
 /**
  * Fetch from Claude's organization usage API
  * Endpoint: https://claude.ai/api/organizations/{orgId}/usage
+ * Returns null on success, or the classified FetchError (already recorded
+ * on the organization's usage data).
  */
 async function fetchFromOrgAPI(orgId) {
   const url = 'https://claude.ai/api/organizations/' + orgId + '/usage';
   console.log('[ClaudeKarma] Fetching from:', url);
 
   try {
-    const response = await fetch(url, {
+    const data = await fetchJSON(url, {
       credentials: 'include',
       headers: {
         'Accept': 'application/json',
         'Content-Type': 'application/json'
       }
-    });
+    }, { retries: TIMING.FETCH_INLINE_RETRIES, fetch: claudeFetch });
+    console.log('[ClaudeKarma] API response:', data);
 
-    if (!response.ok) {
-      console.log('[ClaudeKarma] API returned:', response.status);
-      if (response.status === 401 || response.status === 403) {
-        await handleNotAuthenticated();
-      }
-      return false;
+    let usageData;
+    try {
+      usageData = parseOrgUsageResponse(data);
+    } catch (parseError) {
+      throw new FetchError(FETCH_STATES.PARSE_ERROR, 'Unparseable usage: ' + parseError.message);
     }
 
-    const data = await response.json();
-    console.log('[ClaudeKarma] API response:', data);
-
-    const usageData = parseOrgUsageResponse(data);
+    const schema = await checkUsageSchema(data);
+    usageData.degraded = schema.degraded;
+    usageData.schemaIssues = schema.issues;
 
     // Fetch routines budget in parallel (don't block on failure)
     const routines = await fetchRoutinesBudget(orgId);
     if (routines) {
+      const history = await storage.getUsageHistory(null, null, orgId);
+      const reset = computeRoutinesReset(history);
+      routines.resetTimestamp = reset.resetTimestamp;
+      routines.resetEstimated = reset.estimated;
       usageData.routines = routines;
+      usageData.routineList = await fetchRoutineList(orgId);
     }
 
-    await saveUsageData(usageData, 'api');
-    return true;
+    await saveUsageData(usageData, 'api', orgId);
+    return null;
 
   } catch (error) {
-    if (error instanceof TypeError && error.message === 'Failed to fetch') {
-      console.warn('[ClaudeKarma] Cannot reach claude.ai — are you logged in?');
+    if (!(error instanceof FetchError)) {
+      // A bug while parsing or saving, not a failed request: record it like
+      // an unusable payload so the org shows an error instead of aborting the refresh
+      console.error('[ClaudeKarma] Usage fetch for ' + orgId + ' crashed:', error);
+      error = new FetchError(FETCH_STATES.PARSE_ERROR, 'Unexpected error: ' + error.message);
+    }
+
+    console.warn('[ClaudeKarma] API fetch failed (' + error.state + '):', error.message);
+
+    // During a claude.ai outage 401/403 don't mean we're logged out:
+    // keep the last data and retry instead of asking the user to log in
+    const serviceStatus = await getFreshServiceStatus();
+    if (error.state === FETCH_STATES.NOT_AUTHENTICATED && serviceStatus.claudeAiOutage) {
+      const outageError = new FetchError(FETCH_STATES.SERVICE_OUTAGE, 'Auth failure during a claude.ai outage', {
+        status: error.status
+      });
+      await recordFetchFailure(orgId, outageError, null);
+      return outageError;
+    }
+
+    if (error.state === FETCH_STATES.NOT_AUTHENTICATED) {
+      await handleNotAuthenticated(orgId);
     } else {
-      console.warn('[ClaudeKarma] API fetch failed:', error.message);
+      await recordFetchFailure(orgId, error, null);
     }
-    return false;
+    return error;
+  }
+}
+
+/**
+ * Validate a raw /usage response and remember which keys we have seen,
+ * logging anything new so payload changes are visible in the console.
+ */
+async function checkUsageSchema(data) {
+  const report = await storage.getSchemaReport();
+  const result = validateUsageResponse(data, {
+    knownCodenames: Object.keys(MODEL_DISPLAY_NAMES),
+    seenKeys: report.seenKeys,
+    handledKeys: ['extra_usage']
+  });
+
+  const now = Date.now();
+  const seenKeys = { ...report.seenKeys };
+  result.keys.forEach(k => { if (!seenKeys[k]) seenKeys[k] = now; });
+
+  if (result.newKeys.length > 0) {
+    console.warn('[ClaudeKarma] New usage keys:', result.newKeys);
   }
+  result.issues.forEach(issue => {
+    console.warn('[ClaudeKarma] Usage schema ' + issue.type + ': ' + issue.key + ' (' + issue.detail + ')');
+  });
+
+  await storage.setSchemaReport({ seenKeys, issues: result.issues, checkedAt: now });
+  return result;
 }
 
 /**
@@ -179,15 +710,9 @@ async function fetchFromOrgAPI(orgId) {
  */
 async function fetchRoutinesBudget(orgId) {
   try {
-    const response = await fetch('https://claude.ai/v1/code/routines/run-budget', {
+    const response = await claudeFetch('https://claude.ai/v1/code/routines/run-budget', {
       credentials: 'include',
-      headers: {
-        'Accept': '*/*',
-        'anthropic-version': '2023-06-01',
-        'anthropic-beta': 'ccr-triggers-2026-01-30',
-        'anthropic-client-platform': 'web_claude_ai',
-        'x-organization-uuid': orgId
-      }
+      headers: routinesHeaders(orgId)
     });
 
     if (!response.ok) {
@@ -206,6 +731,61 @@ async function fetchRoutinesBudget(orgId) {
   }
 }
 
+/**
+ * Headers the Claude Code routines endpoints expect
+ */
+function routinesHeaders(orgId) {
+  return {
+    'Accept': '*/*',
+    'anthropic-version': '2023-06-01',
+    'anthropic-beta': 'ccr-triggers-2026-01-30',
+    'anthropic-client-platform': 'web_claude_ai',
+    'x-organization-uuid': orgId
+  };
+}
+
+/**
+ * Fetch the configured Claude Code routines.
+ * Endpoint: https://claude.ai/v1/code/routines
+ * Returns [{ id, name, schedule, timeZone, enabled, nextRunAt, lastRunAt, lastStatus }] or null on failure.
+ */
+async function fetchRoutineList(orgId) {
+  try {
+    const response = await claudeFetch('https://claude.ai/v1/code/routines', {
+      credentials: 'include',
+      headers: routinesHeaders(orgId)
+    });
+
+    if (!response.ok) {
+      console.log('[ClaudeKarma] Routines list not available:', response.status);
+      return null;
+    }
+
+    const data = await response.json();
+    const items = Array.isArray(data) ? data : (data.data || data.routines || []);
+    return items.map(parseRoutine);
+  } catch (error) {
+    console.warn('[ClaudeKarma] Routines list fetch failed:', error.message);
+    return null;
+  }
+}
+
+function parseRoutine(raw) {
+  const lastRun = raw.last_run || {};
+  const toTimestamp = value => (value ? new Date(value).getTime() || null : null);
+
+  return {
+    id: raw.id || raw.uuid || null,
+    name: raw.name || raw.title || 'Untitled routine',
+    schedule: raw.cron_expression || raw.schedule || null,
+    timeZone: raw.timezone || null,
+    enabled: raw.enabled !== false && raw.status !== 'paused',
+    nextRunAt: toTimestamp(raw.next_run_at),
+    lastRunAt: toTimestamp(lastRun.started_at || raw.last_run_at),
+    lastStatus: lastRun.status || raw.last_run_status || null
+  };
+}
+
 /**
  * Map internal Anthropic codenames to user-facing names.
  * null = hide this model in the UI (internal/experimental).
@@ -289,19 +869,90 @@ function parseOrgUsageResponse(data) {
       models: models
     },
     routines: null,
+    routineList: null,
+    extraUsage: parseExtraUsage(data.extra_usage),
     _raw: data
   };
 }
 
 /**
- * Try to fetch the organization ID from Claude's bootstrap data
+ * Parse the extra-usage (paid overage) block of the /usage response.
+ * Credit amounts are kept as reported (minor currency units, e.g. cents).
+ * Returns null when the account has no extra-usage information at all.
+ */
+function parseExtraUsage(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const used = typeof raw.used_credits === 'number' ? raw.used_credits : 0;
+  const limit = typeof raw.monthly_limit === 'number' ? raw.monthly_limit : null;
+
+  let percentage = null;
+  if (typeof raw.utilization === 'number') {
+    percentage = Math.min(raw.utilization, 100);
+  } else if (limit) {
+    percentage = Math.min((used / limit) * 100, 100);
+  }
+
+  return {
+    enabled: raw.is_enabled === true,
+    usedCredits: used,
+    monthlyLimit: limit,
+    percentage: percentage,
+    currency: raw.currency || null,
+    resetTimestamp: raw.resets_at ? new Date(raw.resets_at).getTime() : null
+  };
+}
+
+/**
+ * Return known organizations, re-discovering them when the cached list is
+ * empty, older than ORG_DISCOVERY_INTERVAL_MS, or when forced.
+ */
+async function getOrganizations(force) {
+  const cached = await storage.getOrganizations();
+  const isFresh = cached.discoveredAt &&
+    Date.now() - cached.discoveredAt < TIMING.ORG_DISCOVERY_INTERVAL_MS;
+  if (!force && isFresh && cached.list.length > 0) return cached;
+
+  const { list: discovered, accountId } = await fetchOrganizations();
+  if (discovered.length === 0) return cached;
+
+  // Someone else logged in: nothing we stored describes their account
+  if (accountId && cached.accountId && accountId !== cached.accountId) {
+    await handleAccountSwitch();
+  }
+
+  // Keep a manually entered primary org even if discovery doesn't list it
+  const settings = await storage.getSettings();
+  if (settings.organizationId && !discovered.some(o => o.id === settings.organizationId)) {
+    const manual = cached.list.find(o => o.id === settings.organizationId);
+    discovered.unshift(manual || { id: settings.organizationId, name: null });
+  }
+
+  await storage.setOrganizations(discovered, accountId);
+  await storage.pruneOrgData(discovered.map(o => o.id));
+  return storage.getOrganizations();
+}
+
+/**
+ * Discover every organization the user belongs to from Claude's
+ * bootstrap and account data.
+ * @returns {Promise<{ list: Array<{id: string, name: string|null}>, accountId: string|null }>} list may be empty
  */
-async function fetchOrganizationId() {
-  console.log('[ClaudeKarma] Trying to fetch organization ID...');
+async function fetchOrganizations() {
+  console.log('[ClaudeKarma] Discovering organizations...');
+
+  let accountId = null;
+  const found = new Map();
+  const addOrg = (org) => {
+    const id = org?.uuid || org?.id;
+    if (!id || found.has(id)) return;
+    // API-only orgs have no claude.ai usage to report
+    if (Array.isArray(org.capabilities) && !org.capabilities.includes('chat')) return;
+    found.set(id, { id, name: org.name || null });
+  };
 
   try {
-    // Try the bootstrap endpoint
-    const response = await fetch('https://claude.ai/api/bootstrap', {
+    const response = await claudeFetch('https://claude.ai/api/bootstrap', {
       credentials: 'include',
       headers: { 'Accept': 'application/json' }
     });
@@ -310,20 +961,15 @@ async function fetchOrganizationId() {
       const data = await response.json();
       console.log('[ClaudeKarma] Bootstrap data keys:', Object.keys(data));
 
-      // Look for organization ID in various places
-      const orgId = data.organization_id ||
-                    data.organizationId ||
-                    data.account?.organization_id ||
-                    (data.organizations && data.organizations[0]?.id);
+      accountId = data.account?.uuid || accountId;
+      (data.organizations || []).forEach(addOrg);
+      (data.account?.memberships || []).forEach(m => addOrg(m.organization));
 
-      if (orgId) {
-        console.log('[ClaudeKarma] Found org ID:', orgId);
-        return orgId;
-      }
+      const singleId = data.organization_id || data.organizationId || data.account?.organization_id;
+      if (singleId) addOrg({ uuid: singleId });
     }
 
-    // Try account endpoint
-    const accountResponse = await fetch('https://claude.ai/api/account', {
+    const accountResponse = await claudeFetch('https://claude.ai/api/account', {
       credentials: 'include',
       headers: { 'Accept': 'application/json' }
     });
@@ -332,28 +978,26 @@ async function fetchOrganizationId() {
       const accountData = await accountResponse.json();
       console.log('[ClaudeKarma] Account data keys:', Object.keys(accountData));
 
-      const orgId = accountData.organization_id ||
-                    accountData.memberships?.[0]?.organization?.uuid;
-
-      if (orgId) {
-        console.log('[ClaudeKarma] Found org ID from account:', orgId);
-        return orgId;
-      }
+      accountId = accountData.uuid || accountId;
+      (accountData.memberships || []).forEach(m => addOrg(m.organization));
+      if (accountData.organization_id) addOrg({ uuid: accountData.organization_id });
     }
 
   } catch (error) {
     if (error instanceof TypeError && error.message === 'Failed to fetch') {
       console.warn('[ClaudeKarma] Cannot reach claude.ai — are you logged in?');
     } else {
-      console.warn('[ClaudeKarma] Could not auto-detect org ID:', error.message);
+      console.warn('[ClaudeKarma] Could not auto-detect organizations:', error.message);
     }
   }
 
-  return null;
+  console.log('[ClaudeKarma] Found ' + found.size + ' organization(s)');
+  return { list: Array.from(found.values()), accountId };
 }
 
 /**
  * Trigger content script as fallback
+ * @returns {Promise<boolean>} True if an open usage tab was asked to scrape
  */
 async function triggerContentScript() {
   console.log('[ClaudeKarma] Trying content script fallback...');
@@ -369,7 +1013,7 @@ async function triggerContentScript() {
         try {
           await chrome.tabs.sendMessage(targetTab.id, { type: MESSAGE_TYPES.REQUEST_REFRESH });
           console.log('[ClaudeKarma] Sent refresh to content script');
-          return;
+          return true;
         } catch (e) {
           console.log('[ClaudeKarma] Content script not responding');
         }
@@ -383,23 +1027,189 @@ async function triggerContentScript() {
   } catch (error) {
     console.error('[ClaudeKarma] Content script fallback failed:', error);
   }
+  return false;
 }
 
-// ============================================
-// Plan Tier Detection
-// ============================================
+// Resolves the pending background scrape when its frame reports in
+let backgroundScrapeDone = null;
+
+// Single-flight: a background scrape already running
+let inFlightBackgroundScrape = null;
+
+// Session rule id for the frame header rule below
+const FRAME_HEADER_RULE_ID = 1;
 
 /**
- * Fetch the user's plan tier from the rate_limits API
- * Returns tier string like "default_claude_max_20x" or null
+ * claude.ai refuses to be framed; drop its frame headers, but only for
+ * sub-frames the extension itself loads outside any tab.
  */
-async function fetchPlanTier() {
-  try {
-    const settings = await storage.getSettings();
-    if (!settings.organizationId) return null;
-
-    const url = 'https://claude.ai/api/organizations/' + settings.organizationId + '/rate_limits';
-    const response = await fetch(url, {
+async function allowUsagePageFrame() {
+  await chrome.declarativeNetRequest.updateSessionRules({
+    removeRuleIds: [FRAME_HEADER_RULE_ID],
+    addRules: [{
+      id: FRAME_HEADER_RULE_ID,
+      action: {
+        type: 'modifyHeaders',
+        responseHeaders: [
+          { header: 'x-frame-options', operation: 'remove' },
+          { header: 'content-security-policy', operation: 'remove' }
+        ]
+      },
+      condition: {
+        urlFilter: '||claude.ai/settings/usage',
+        resourceTypes: ['sub_frame'],
+        initiatorDomains: [chrome.runtime.id],
+        tabIds: [chrome.tabs.TAB_ID_NONE]
+      }
+    }]
+  });
+}
+
+/**
+ * Load claude.ai/settings/usage in an offscreen document (Chrome) or a
+ * hidden iframe (browsers with a DOM-backed background page), let the
+ * content script scrape it, and wait for its USAGE_DATA_SCRAPED message.
+ * The user's tabs are never touched.
+ *
+ * @returns {Promise<boolean>} True if the page reported data in time
+ */
+async function scrapeInBackground() {
+  if (backgroundScrapeDone) return false;
+  console.log('[ClaudeKarma] Trying background usage page...');
+
+  let cleanup;
+  try {
+    if (chrome.declarativeNetRequest) await allowUsagePageFrame();
+
+    if (chrome.offscreen) {
+      await chrome.offscreen.createDocument({
+        url: 'offscreen/offscreen.html',
+        reasons: ['IFRAME_SCRIPTING'],
+        justification: 'Read the Claude usage page when the usage API is unavailable'
+      });
+      cleanup = () => chrome.offscreen.closeDocument();
+    } else if (typeof document !== 'undefined') {
+      const frame = document.createElement('iframe');
+      frame.src = 'https://claude.ai/settings/usage';
+      frame.style.display = 'none';
+      document.body.appendChild(frame);
+      cleanup = async () => frame.remove();
+    } else {
+      console.log('[ClaudeKarma] No way to load the usage page in the background');
+      return false;
+    }
+
+    const reported = await new Promise(resolve => {
+      backgroundScrapeDone = resolve;
+      setTimeout(() => resolve(false), TIMING.BACKGROUND_SCRAPE_TIMEOUT_MS);
+    });
+
+    console.log('[ClaudeKarma] Background usage page ' + (reported ? 'scraped' : 'timed out'));
+    return reported;
+  } catch (error) {
+    console.warn('[ClaudeKarma] Background scrape failed:', error.message);
+    return false;
+  } finally {
+    backgroundScrapeDone = null;
+    if (cleanup) await cleanup().catch(() => {});
+  }
+}
+
+/**
+ * Run scrapeInBackground() on its own, at most once per
+ * BACKGROUND_SCRAPE_RETRY_MS after one that got nothing, so a usage API
+ * that keeps failing doesn't load the page on every alarm
+ */
+function startBackgroundScrape() {
+  if (inFlightBackgroundScrape) return inFlightBackgroundScrape;
+
+  inFlightBackgroundScrape = (async () => {
+    const { backgroundScrapeFailedAt } = await storage.getFetchState();
+    if (backgroundScrapeFailedAt && Date.now() - backgroundScrapeFailedAt < TIMING.BACKGROUND_SCRAPE_RETRY_MS) {
+      console.log('[ClaudeKarma] Background usage page failed recently, not retrying yet');
+      return;
+    }
+
+    const reported = await scrapeInBackground();
+    await storage.setFetchState({ backgroundScrapeFailedAt: reported ? null : Date.now() });
+  })()
+    .catch(error => console.warn('[ClaudeKarma] Background scrape failed:', error.message))
+    .finally(() => { inFlightBackgroundScrape = null; });
+
+  return inFlightBackgroundScrape;
+}
+
+// ============================================
+// Plan Tier Detection
+// ============================================
+
+/**
+ * Plan tier for an organization, cached for PLAN_TIER_TTL_MS so saves
+ * don't cost an extra request each. Records and announces plan changes.
+ *
+ * @param {string} orgId - Organization UUID
+ * @param {string|null} lastKnownTier - Tier on the previously stored data (seeds change detection)
+ */
+async function getPlanTier(orgId, lastKnownTier) {
+  if (!orgId) return null;
+
+  const cached = await storage.getCachedPlanTier(orgId);
+  if (cached && Date.now() - cached.fetchedAt < TIMING.PLAN_TIER_TTL_MS) {
+    return cached.tier;
+  }
+
+  const previousTier = cached?.tier || lastKnownTier || null;
+  const tier = await fetchPlanTier(orgId);
+
+  // Keep the last known tier rather than losing the badge on a failed request
+  if (!tier) return previousTier;
+
+  await storage.setCachedPlanTier(orgId, tier);
+
+  if (previousTier && previousTier !== tier) {
+    console.log('[ClaudeKarma] Plan changed: ' + previousTier + ' → ' + tier);
+    await storage.appendPlanChange(orgId, { t: Date.now(), from: previousTier, to: tier });
+    await notifyPlanChange(orgId, previousTier, tier);
+  }
+
+  return tier;
+}
+
+async function notifyPlanChange(orgId, fromTier, toTier) {
+  const settings = await storage.getSettings();
+  if (!settings.notifications?.enabled) return;
+
+  const { list } = await storage.getOrganizations();
+  const orgName = list.length > 1 ? list.find(o => o.id === orgId)?.name : null;
+
+  const from = formatPlanTier(fromTier);
+  const to = formatPlanTier(toTier);
+  const body = chrome.i18n.getMessage('notificationPlanChanged', [from, to]) ||
+    `Your Claude plan changed: ${from} → ${to}`;
+
+  try {
+    chrome.notifications.create('plan-change-' + orgId, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon-128.png'),
+      title: chrome.i18n.getMessage('notificationPlanTitle') || 'ClaudeKarma — Plan Changed',
+      message: orgName ? orgName + ': ' + body : body,
+      priority: 1
+    });
+  } catch (error) {
+    console.warn('[ClaudeKarma] Notification failed:', error.message);
+  }
+}
+
+/**
+ * Fetch an organization's plan tier from the rate_limits API
+ * Returns tier string like "default_claude_max_20x" or null
+ */
+async function fetchPlanTier(orgId) {
+  try {
+    if (!orgId) return null;
+
+    const url = 'https://claude.ai/api/organizations/' + orgId + '/rate_limits';
+    const response = await claudeFetch(url, {
       credentials: 'include',
       headers: { 'Accept': 'application/json' }
     });
@@ -414,72 +1224,280 @@ async function fetchPlanTier() {
   return null;
 }
 
+// ============================================
+// Service Status
+// ============================================
+
+// The status check currently running, shared by every failed fetch
+let inFlightStatusPoll = null;
+
+/**
+ * Poll the status page every SERVICE_STATUS_POLL_MINUTES, or stop and
+ * forget incidents when the feed is turned off.
+ */
+async function setupServiceStatusAlarm() {
+  const settings = await storage.getSettings();
+
+  if (!settings.statusPageUrl) {
+    await chrome.alarms.clear(ALARMS.SERVICE_STATUS);
+    await storage.remove(STORAGE_KEYS.SERVICE_STATUS);
+    return;
+  }
+
+  const alarm = await chrome.alarms.get(ALARMS.SERVICE_STATUS);
+  if (!alarm) {
+    chrome.alarms.create(ALARMS.SERVICE_STATUS, {
+      delayInMinutes: 0.1,
+      periodInMinutes: TIMING.SERVICE_STATUS_POLL_MINUTES
+    });
+  }
+
+  // New feed URL: don't keep showing the old feed's incidents until the next alarm
+  const status = await storage.getServiceStatus();
+  if (status.url !== settings.statusPageUrl) {
+    await pollServiceStatus();
+  }
+}
+
+/**
+ * Check the status page and store its open incidents (single-flight).
+ * Never throws: a broken feed must not get in the way of usage fetching.
+ * @returns {Promise<Object>} Stored service status (see storage.getServiceStatus)
+ */
+function pollServiceStatus() {
+  if (!inFlightStatusPoll) {
+    inFlightStatusPoll = runStatusPoll()
+      .catch(async error => {
+        console.error('[ClaudeKarma] Status check crashed:', error);
+        return storage.getServiceStatus();
+      })
+      .finally(() => { inFlightStatusPoll = null; });
+  }
+  return inFlightStatusPoll;
+}
+
+async function runStatusPoll() {
+  const settings = await storage.getSettings();
+  const previous = await storage.getServiceStatus();
+  const url = settings.statusPageUrl;
+  if (!url) return previous;
+
+  let status;
+  try {
+    // Another feed is only reachable once its site is granted in settings
+    if (url !== DEFAULT_SETTINGS.statusPageUrl) {
+      const origin = new URL(url).origin + '/*';
+      if (!(await chrome.permissions.contains({ origins: [origin] }))) {
+        throw new Error('No permission for this URL (use "Check now" to grant it)');
+      }
+    }
+
+    const data = await fetchJSON(url, { cache: 'no-store', credentials: 'omit' });
+    status = { ...parseStatusSummary(data), url, checkedAt: Date.now(), error: null, errorMessage: null };
+  } catch (error) {
+    console.warn('[ClaudeKarma] Status page check failed:', error.message);
+    // An unreachable status page proves nothing: keep what it last said
+    status = {
+      ...previous,
+      url,
+      checkedAt: Date.now(),
+      error: error.state || FETCH_STATES.PARSE_ERROR,
+      errorMessage: error.message
+    };
+  }
+
+  await storage.setServiceStatus(status);
+
+  if (status.claudeAiOutage !== previous.claudeAiOutage) {
+    console.log('[ClaudeKarma] claude.ai outage ' + (status.claudeAiOutage ? 'reported' : 'over'));
+  }
+
+  // Outage over: get a real answer for whatever failed during it
+  if (previous.claudeAiOutage && !status.claudeAiOutage) {
+    const usageData = await storage.getUsageData();
+    if (usageData.error === FETCH_STATES.SERVICE_OUTAGE) {
+      fetchUsageData({ force: true });
+    }
+  }
+
+  return status;
+}
+
+/**
+ * Service status for judging a failed fetch, re-checked when older than
+ * SERVICE_STATUS_STALE_MS so a fresh outage is noticed right away.
+ */
+async function getFreshServiceStatus() {
+  const status = await storage.getServiceStatus();
+  if (status.checkedAt && Date.now() - status.checkedAt < TIMING.SERVICE_STATUS_STALE_MS) {
+    return status;
+  }
+  return pollServiceStatus();
+}
+
 // ============================================
 // Data Handling
 // ============================================
 
-async function handleNotAuthenticated() {
-  const usageData = await storage.getUsageData();
-  usageData.error = 'not_authenticated';
-  usageData.lastFetchedAt = Date.now();
-  await storage.setUsageData(usageData);
+/**
+ * Store an organization's usage data, mirroring it into usageData
+ * (icon, notifications, legacy readers) when it is the primary org.
+ * Returns true if the data belongs to the primary org.
+ */
+async function storeOrgUsageData(orgId, usageData) {
+  const settings = await storage.getSettings();
+  const isPrimary = !orgId || orgId === settings.organizationId;
+
+  if (orgId) {
+    await storage.setOrgUsageData(orgId, usageData);
+  }
+  if (isPrimary) {
+    await storage.setUsageData({ ...usageData, organizationId: orgId || settings.organizationId || null });
+  }
+  return isPrimary;
+}
+
+/**
+ * Record a failed fetch on an organization's data without discarding the
+ * last good numbers, so the popup can show both.
+ */
+async function recordFetchFailure(orgId, error, retryAt) {
+  const usageData = orgId ? await storage.getOrgUsageData(orgId) : await storage.getUsageData();
+  const wasWorking = !usageData.error && !!usageData.lastSuccessAt;
+
+  usageData.error = error.state;
+  usageData.errorInfo = {
+    status: error.status,
+    at: Date.now(),
+    retryAt: retryAt || null
+  };
+  const isPrimary = await storeOrgUsageData(orgId, usageData);
+
+  // Announce the first failure only; being offline is the user's own doing
+  if (isPrimary && wasWorking && error.state !== FETCH_STATES.OFFLINE) {
+    emitWebhookEvent(WEBHOOK_EVENTS.FETCH_BROKEN, {
+      title: 'ClaudeKarma — Fetch Failed',
+      message: 'Fetching failed (' + error.state + (error.status ? ', HTTP ' + error.status : '') + ')',
+      state: error.state
+    });
+  }
+  return isPrimary;
+}
+
+async function handleNotAuthenticated(orgId) {
+  const isPrimary = await recordFetchFailure(
+    orgId,
+    new FetchError(FETCH_STATES.NOT_AUTHENTICATED, 'Not authenticated'),
+    null
+  );
 
   // Stop animation and show empty state
-  await stopAnimation(0, 0);
+  if (isPrimary) {
+    await stopAnimation(0, 0);
+  }
 }
 
-async function saveUsageData(data, source) {
-  const existingData = await storage.getUsageData();
+/**
+ * Save freshly fetched usage data.
+ * @param {Object} data - Parsed usage data
+ * @param {string} source - 'api' or 'scrape'
+ * @param {string} [orgId] - Organization the data belongs to (default: primary)
+ */
+async function saveUsageData(data, source, orgId) {
+  const settings = await storage.getSettings();
+  orgId = orgId || settings.organizationId || null;
+
+  const existingData = orgId ? await storage.getOrgUsageData(orgId) : await storage.getUsageData();
   const mergedData = {
     ...existingData,
     ...data,
+    organizationId: orgId,
     lastFetchedAt: Date.now(),
     fetchSource: source,
-    error: null
+    degraded: data.degraded || false,
+    schemaIssues: data.schemaIssues || [],
+    lastSuccessAt: Date.now(),
+    error: null,
+    errorInfo: null
   };
 
-  // Fetch plan tier for snapshot context AND popup display
-  const planTier = await fetchPlanTier();
+  // Plan tier for snapshot context AND popup display (cached, see getPlanTier)
+  const planTier = await getPlanTier(orgId, existingData.planTier);
   mergedData.planTier = planTier;
 
-  await storage.setUsageData(mergedData);
-  await storage.appendUsageSnapshot(mergedData, planTier);
-  await refreshIcon();
+  const isPrimary = await storeOrgUsageData(orgId, mergedData);
+
+  // Limits the response didn't carry reliably are left out of each of
+  // these (see isLimitDegraded) rather than recorded as zeros
+  const snapshot = await storage.appendUsageSnapshot(mergedData, planTier, orgId);
+  await bufferMetrics(mergedData, snapshot, orgId);
+  await recordSession(mergedData, snapshot.t, orgId);
+
+  if (isPrimary) {
+    await refreshIcon();
+    await pushNativeStatus(mergedData);
+  }
 
   try {
     await chrome.runtime.sendMessage({
       type: MESSAGE_TYPES.USAGE_DATA_UPDATED,
+      orgId: orgId,
       data: mergedData
     });
   } catch (e) { /* Popup not open */ }
 
-  await checkAndNotify(mergedData);
+  broadcastExternal(orgId, mergedData);
+
+  // Notification state is single-track, so only the primary org alerts
+  if (isPrimary) {
+    await checkAndNotify(mergedData);
+    await checkExtraUsageNotify(mergedData);
+    await checkRoutinesNotify(mergedData);
+    await checkForecastNotify(mergedData, orgId);
+    await checkPaceNotify(mergedData, orgId);
+    await scheduleResetAlarms(mergedData);
+  }
 
-  console.log('[ClaudeKarma] Data saved from ' + source);
+  console.log('[ClaudeKarma] Data saved from ' + source + (orgId ? ' for ' + orgId : ''));
 }
 
 // ============================================
 // Notifications
 // ============================================
 
-const NOTIFICATION_THRESHOLDS = [75, 90, 100];
+/**
+ * Alert thresholds from settings (user or policy), ascending
+ */
+function getNotificationThresholds(settings) {
+  return [...(settings.notifications?.thresholds || [])].sort((a, b) => a - b);
+}
 
 async function checkAndNotify(usageData) {
   const settings = await storage.getSettings();
-  if (!settings.notifications?.enabled) return;
+  // Webhooks get threshold events even with browser notifications off
+  const notify = !!settings.notifications?.enabled;
+  if (!notify && getWebhookTargets(settings, WEBHOOK_EVENTS.THRESHOLD).length === 0) return;
+
+  const thresholds = getNotificationThresholds(settings);
+  if (thresholds.length === 0) return;
+
+  // A limit that couldn't be read neither raises an alert nor clears one
+  const sessionKnown = !isLimitDegraded(usageData.schemaIssues, 'session');
+  const weeklyKnown = !isLimitDegraded(usageData.schemaIssues, 'weekly');
+  if (!sessionKnown && !weeklyKnown) return;
 
   const state = await storage.getNotificationState();
-  const sessionPct = usageData.currentSession?.percentage || 0;
-  const weeklyPct = usageData.weeklyLimits?.allModels?.percentage || 0;
+  const sessionPct = sessionKnown ? usageData.currentSession?.percentage || 0 : 0;
+  const weeklyPct = weeklyKnown ? usageData.weeklyLimits?.allModels?.percentage || 0 : 0;
   const maxPct = Math.max(sessionPct, weeklyPct);
 
   // Find the highest threshold crossed
-  const crossedThreshold = NOTIFICATION_THRESHOLDS.filter(t => maxPct >= t).pop() || 0;
+  const crossedThreshold = thresholds.filter(t => maxPct >= t).pop() || 0;
 
   // Only notify if we crossed a NEW threshold (higher than last notified)
   if (crossedThreshold <= 0 || crossedThreshold <= state.lastNotifiedThreshold) {
     // Reset if usage dropped below all thresholds
-    if (maxPct < NOTIFICATION_THRESHOLDS[0] && state.lastNotifiedThreshold > 0) {
+    if (sessionKnown && weeklyKnown && maxPct < thresholds[0] && state.lastNotifiedThreshold > 0) {
       await storage.setNotificationState({ lastNotifiedThreshold: 0 });
     }
     return;
@@ -496,6 +1514,21 @@ async function checkAndNotify(usageData) {
 
   const title = chrome.i18n.getMessage('notificationTitle') || 'ClaudeKarma — Usage Alert';
 
+  await storage.setNotificationState({
+    lastNotifiedThreshold: crossedThreshold,
+    lastNotifiedAt: Date.now()
+  });
+
+  emitWebhookEvent(WEBHOOK_EVENTS.THRESHOLD, {
+    title,
+    message: body,
+    limit: isSession ? 'session' : 'weekly',
+    percentage: Math.round(pct),
+    threshold: crossedThreshold
+  });
+
+  if (!notify) return;
+
   try {
     chrome.notifications.create('usage-alert-' + crossedThreshold, {
       type: 'basic',
@@ -505,61 +1538,1179 @@ async function checkAndNotify(usageData) {
       priority: crossedThreshold >= 90 ? 2 : 1
     });
 
-    await storage.setNotificationState({
-      lastNotifiedThreshold: crossedThreshold,
-      lastNotifiedAt: Date.now()
+    console.log('[ClaudeKarma] Notification sent: ' + crossedThreshold + '% threshold');
+  } catch (error) {
+    console.warn('[ClaudeKarma] Notification failed:', error.message);
+  }
+}
+
+/**
+ * Same thresholds for paid extra usage, tracked separately so crossing
+ * 90% of the overage budget is announced even after a session alert.
+ */
+async function checkExtraUsageNotify(usageData) {
+  const extra = usageData.extraUsage;
+  if (!extra?.enabled || extra.percentage === null) return;
+
+  const settings = await storage.getSettings();
+  if (!settings.notifications?.enabled) return;
+
+  const thresholds = getNotificationThresholds(settings);
+  if (thresholds.length === 0) return;
+
+  const state = await storage.getNotificationState();
+  const lastThreshold = state.lastNotifiedExtraThreshold || 0;
+  const pct = extra.percentage;
+  const crossedThreshold = thresholds.filter(t => pct >= t).pop() || 0;
+
+  if (crossedThreshold <= 0 || crossedThreshold <= lastThreshold) {
+    // Monthly reset or raised limit: re-arm
+    if (pct < thresholds[0] && lastThreshold > 0) {
+      await storage.setNotificationState({ lastNotifiedExtraThreshold: 0 });
+    }
+    return;
+  }
+
+  const body = chrome.i18n.getMessage('notificationExtraUsageHigh', [String(Math.round(pct))]) ||
+    `Your extra usage has reached ${Math.round(pct)}% of its monthly limit`;
+
+  try {
+    chrome.notifications.create('extra-usage-alert-' + crossedThreshold, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon-128.png'),
+      title: chrome.i18n.getMessage('notificationTitle') || 'ClaudeKarma — Usage Alert',
+      message: body,
+      priority: crossedThreshold >= 90 ? 2 : 1
     });
 
-    console.log('[ClaudeKarma] Notification sent: ' + crossedThreshold + '% threshold');
+    await storage.setNotificationState({ lastNotifiedExtraThreshold: crossedThreshold });
+    console.log('[ClaudeKarma] Extra usage notification sent: ' + crossedThreshold + '% threshold');
   } catch (error) {
     console.warn('[ClaudeKarma] Notification failed:', error.message);
   }
 }
 
-// ============================================
-// Message Handling
-// ============================================
+/**
+ * Routines budget alerts at the user's chosen thresholds (% of the daily
+ * budget; 100 = exhausted). Re-armed when the budget resets.
+ */
+async function checkRoutinesNotify(usageData) {
+  const routines = usageData.routines;
+  if (!routines || !routines.limit) return;
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log('[ClaudeKarma] Message:', message.type);
+  const settings = await storage.getSettings();
+  if (!settings.notifications?.enabled) return;
 
-  switch (message.type) {
-    case MESSAGE_TYPES.USAGE_DATA_SCRAPED:
-      saveUsageData(message.data, 'scrape')
-        .then(() => sendResponse({ success: true }))
-        .catch(err => sendResponse({ success: false, error: err.message }));
-      return true;
+  const thresholds = [...(settings.notifications.routineThresholds || [])].sort((a, b) => a - b);
+  if (thresholds.length === 0) return;
 
-    case MESSAGE_TYPES.GET_USAGE_DATA:
-      storage.getUsageData()
-        .then(data => sendResponse({ success: true, data }))
-        .catch(err => sendResponse({ success: false, error: err.message }));
-      return true;
+  const state = await storage.getNotificationState();
+  const pct = (routines.used / routines.limit) * 100;
 
-    case MESSAGE_TYPES.REQUEST_REFRESH:
-      fetchUsageData()
-        .then(() => sendResponse({ success: true }))
-        .catch(err => sendResponse({ success: false, error: err.message }));
-      return true;
+  const lastThreshold = state.lastNotifiedRoutineThreshold || 0;
+  const crossedThreshold = thresholds.filter(t => pct >= t).pop() || 0;
 
-    case 'SET_ORG_ID':
-      storage.setSettings({ organizationId: message.orgId })
-        .then(() => fetchUsageData())
-        .then(() => sendResponse({ success: true }))
-        .catch(err => sendResponse({ success: false, error: err.message }));
-      return true;
+  if (crossedThreshold <= 0 || crossedThreshold <= lastThreshold) {
+    // Budget reset: re-arm for the new day
+    if (pct < thresholds[0] && lastThreshold > 0) {
+      await storage.setNotificationState({ lastNotifiedRoutineThreshold: 0 });
+    }
+    return;
+  }
 
-    case 'UPDATE_SETTINGS':
-      setupAlarm()
-        .then(() => sendResponse({ success: true }))
-        .catch(err => sendResponse({ success: false, error: err.message }));
-      return true;
+  const used = String(routines.used);
+  const limit = String(routines.limit);
+  const body = crossedThreshold >= 100
+    ? chrome.i18n.getMessage('notificationRoutinesExhausted', [limit]) ||
+      `All ${limit} daily routine runs are used. Scheduled routines won't run until the budget resets.`
+    : chrome.i18n.getMessage('notificationRoutinesHigh', [used, limit]) ||
+      `${used} of ${limit} daily routine runs used`;
 
-    default:
-      sendResponse({ success: false, error: 'Unknown message' });
-      return false;
+  try {
+    chrome.notifications.create('routines-alert-' + crossedThreshold, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon-128.png'),
+      title: chrome.i18n.getMessage('notificationTitle') || 'ClaudeKarma — Usage Alert',
+      message: body,
+      priority: crossedThreshold >= 100 ? 2 : 1
+    });
+
+    await storage.setNotificationState({ lastNotifiedRoutineThreshold: crossedThreshold });
+    console.log('[ClaudeKarma] Routines notification sent: ' + crossedThreshold + '% threshold');
+  } catch (error) {
+    console.warn('[ClaudeKarma] Notification failed:', error.message);
   }
-});
+}
+
+// Forecasts this early in a window are mostly noise
+const FORECAST_ALERT_MIN_PERCENT = 50;
+
+/**
+ * Early warning (opt-in): the pace of the last hour (session) or day
+ * (weekly, models) runs a limit out before it resets. Once per limit and
+ * reset window.
+ */
+async function checkForecastNotify(usageData, orgId) {
+  const settings = await storage.getSettings();
+  if (!settings.notifications?.enabled || !settings.notifications.forecastAlerts) return;
+
+  const now = Date.now();
+  const history = await storage.getUsageHistory(forecastHistoryStart(now), null, orgId);
+  const forecasts = forecastLimits(history, usageData, now);
+  const limits = listLimits(usageData);
+
+  const state = await storage.getNotificationState();
+  const warned = { ...state.forecastWarned };
+
+  for (const forecast of Object.values(forecasts)) {
+    const limit = limits.find(l => l.key === forecast.key);
+    if (isLimitDegraded(usageData.schemaIssues, forecast.key)) continue;
+    if (!forecast.willHit || limit.percentage < FORECAST_ALERT_MIN_PERCENT) continue;
+    if (warned[forecast.key] === forecast.resetAt) continue;
+
+    warned[forecast.key] = forecast.resetAt;
+    const time = new Date(forecast.hitAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const margin = formatDuration(forecast.marginMs);
+    const label = { session: '5-hour session', weekly: '7-day' }[limit.kind] || limit.label + ' weekly';
+    const body = chrome.i18n.getMessage('notificationForecastHit', [label, time, margin]) ||
+      `At this pace your ${label} limit runs out at ${time}, ${margin} before it resets.`;
+
+    try {
+      chrome.notifications.create('forecast-alert-' + forecast.key, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon-128.png'),
+        title: chrome.i18n.getMessage('notificationForecastTitle') || 'ClaudeKarma — Running Out Early',
+        message: body,
+        priority: 1
+      });
+      console.log('[ClaudeKarma] Forecast notification sent: ' + forecast.key);
+    } catch (error) {
+      console.warn('[ClaudeKarma] Notification failed:', error.message);
+    }
+  }
+
+  // Forget windows that have reset
+  Object.keys(warned).forEach(key => {
+    if (warned[key] <= now) delete warned[key];
+  });
+  await storage.setNotificationState({ forecastWarned: warned });
+}
+
+/**
+ * Weekly pacing (opt-in): today's share of the 7-day limit is used up.
+ * Once a day.
+ */
+async function checkPaceNotify(usageData, orgId) {
+  const settings = await storage.getSettings();
+  if (!settings.notifications?.enabled || !settings.notifications.paceAlerts) return;
+  if (isLimitDegraded(usageData.schemaIssues, 'weekly')) return;
+
+  const now = Date.now();
+  const history = await storage.getUsageHistory(now - 2 * 24 * 60 * 60 * 1000, null, orgId);
+  const pace = computeWeeklyPace(history, usageData, now);
+  if (!pace?.exceeded) return;
+
+  const state = await storage.getNotificationState();
+  if (state.paceWarnedDay === pace.dayStart) return;
+  await storage.setNotificationState({ paceWarnedDay: pace.dayStart });
+
+  const used = String(Math.round(pace.usedToday));
+  const allowance = String(Math.round(pace.allowance));
+  const body = chrome.i18n.getMessage('notificationPaceExceeded', [used, allowance]) ||
+    `You've used ${used}% of your 7-day limit today, past today's ${allowance}% share. The rest of the week gets less if you keep going.`;
+
+  try {
+    chrome.notifications.create('pace-alert', {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon-128.png'),
+      title: chrome.i18n.getMessage('notificationPaceTitle') || "ClaudeKarma — Today's Share Used",
+      message: body,
+      priority: 1
+    });
+    console.log('[ClaudeKarma] Pace notification sent: ' + used + '% of ' + allowance + '%');
+  } catch (error) {
+    console.warn('[ClaudeKarma] Notification failed:', error.message);
+  }
+}
+
+/**
+ * "1h 10m", "2d 3h", "25m"
+ */
+function formatDuration(ms) {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  const hours = Math.floor(minutes / 60);
+  if (hours >= 24) return Math.floor(hours / 24) + 'd ' + (hours % 24) + 'h';
+  if (hours > 0) return hours + 'h ' + (minutes % 60) + 'm';
+  return minutes + 'm';
+}
+
+// ============================================
+// Limit Resets
+// ============================================
+
+/**
+ * Keep one alarm per known reset time (session, weekly, each model) so we
+ * refetch right after a limit resets. Alarms for limits that disappeared
+ * are cleared; unchanged ones, and those of limits this response couldn't
+ * read, are left alone.
+ */
+async function scheduleResetAlarms(usageData) {
+  const now = Date.now();
+  const unreadable = key => isLimitDegraded(usageData.schemaIssues, key);
+  const limits = listLimits(usageData)
+    .filter(l => !unreadable(l.key) && l.resetTimestamp && l.resetTimestamp > now);
+  const previous = await storage.getResetWatch();
+  const watch = {};
+  Object.keys(previous).filter(unreadable).forEach(key => { watch[key] = previous[key]; });
+
+  const existing = (await chrome.alarms.getAll())
+    .filter(a => a.name.startsWith(ALARMS.LIMIT_RESET_PREFIX));
+
+  for (const alarm of existing) {
+    const key = alarm.name.slice(ALARMS.LIMIT_RESET_PREFIX.length);
+    if (!unreadable(key) && !limits.some(l => l.key === key)) {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
+
+  for (const limit of limits) {
+    const name = ALARMS.LIMIT_RESET_PREFIX + limit.key;
+    const when = limit.resetTimestamp + TIMING.RESET_GRACE_MS;
+    const current = existing.find(a => a.name === name);
+    if (!current || Math.abs(current.scheduledTime - when) > 1000) {
+      chrome.alarms.create(name, { when });
+    }
+    watch[limit.key] = {
+      label: limit.label,
+      kind: limit.kind,
+      resetAt: limit.resetTimestamp,
+      percentage: limit.percentage
+    };
+  }
+
+  await storage.setResetWatch(watch);
+}
+
+/**
+ * A limit just reset: refetch, then tell the user if they opted in
+ */
+async function handleLimitReset(limitKey) {
+  console.log('[ClaudeKarma] Limit reset: ' + limitKey);
+
+  const watch = await storage.getResetWatch();
+  const entry = watch[limitKey];
+
+  await fetchUsageData({ force: true });
+
+  // Nothing was used, so nothing was "given back"
+  if (entry && entry.percentage > 0) {
+    await notifyLimitReset(limitKey, entry);
+
+    emitWebhookEvent(WEBHOOK_EVENTS.RESET, {
+      title: chrome.i18n.getMessage('notificationResetTitle') || 'ClaudeKarma — Limit Available',
+      message: describeLimitReset(entry),
+      limit: limitKey,
+      percentage: Math.round(entry.percentage)
+    });
+  }
+}
+
+async function notifyLimitReset(limitKey, entry) {
+  const settings = await storage.getSettings();
+  if (!settings.notifications?.enabled) return;
+  if (!settings.notifications?.resetAlerts?.[limitKey]) return;
+
+  const body = describeLimitReset(entry);
+  const title = chrome.i18n.getMessage('notificationResetTitle') || 'ClaudeKarma — Limit Available';
+
+  try {
+    chrome.notifications.create('limit-reset-' + limitKey, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon-128.png'),
+      title: title,
+      message: body,
+      priority: 1
+    });
+    console.log('[ClaudeKarma] Reset notification sent: ' + limitKey);
+  } catch (error) {
+    console.warn('[ClaudeKarma] Notification failed:', error.message);
+  }
+}
+
+/**
+ * "Limit available again" text for a reset-watch entry
+ */
+function describeLimitReset(entry) {
+  let body;
+  if (entry.kind === 'session') {
+    body = chrome.i18n.getMessage('notificationSessionReset') ||
+      'Your 5-hour session is fresh — full limit available again.';
+  } else if (entry.kind === 'weekly') {
+    body = chrome.i18n.getMessage('notificationWeeklyReset') ||
+      'Your 7-day limit has reset.';
+  } else if (entry.kind === 'routines') {
+    body = chrome.i18n.getMessage('notificationRoutinesReset') ||
+      'Your daily routines budget has reset.';
+  } else {
+    body = chrome.i18n.getMessage('notificationModelReset', [entry.label]) ||
+      `${entry.label} weekly quota has reset.`;
+  }
+  return body;
+}
+
+// ============================================
+// Message Handling
+// ============================================
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  console.log('[ClaudeKarma] Message:', message.type);
+
+  switch (message.type) {
+    case MESSAGE_TYPES.USAGE_DATA_SCRAPED:
+      saveUsageData(message.data, 'scrape')
+        .then(() => {
+          // Frames outside any tab come from scrapeInBackground()
+          if (!sender.tab && backgroundScrapeDone) backgroundScrapeDone(true);
+        })
+        .then(() => sendResponse({ success: true }))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case MESSAGE_TYPES.GET_USAGE_DATA:
+      getUsageDataForPopup(message.orgId)
+        .then(result => sendResponse({ success: true, ...result }))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    // Manual refresh: bypass the throttle and answer with the fresh data
+    case MESSAGE_TYPES.REQUEST_REFRESH:
+      fetchUsageData({ force: true })
+        .then(async outcome => ({ outcome, ...(await getUsageDataForPopup(message.orgId)) }))
+        .then(result => sendResponse({ success: true, ...result }))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case 'SET_ORG_ID':
+      storage.getManagedSettings()
+        .then(managed => {
+          if (managed.organizationId) throw new Error(MANAGED_ORG_ERROR);
+          return storage.setSettings({ organizationId: message.orgId });
+        })
+        .then(() => fetchUsageData({ force: true }))
+        .then(async outcome => ({ outcome, ...(await getUsageDataForPopup()) }))
+        .then(result => sendResponse({ success: true, ...result }))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case MESSAGE_TYPES.SET_PRIMARY_ORG:
+      setPrimaryOrganization(message.orgId)
+        .then(() => sendResponse({ success: true }))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case MESSAGE_TYPES.TEST_WEBHOOK:
+      testWebhook(message.targetId)
+        .then(entry => sendResponse({ success: true, entry }))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case MESSAGE_TYPES.CHECK_SERVICE_STATUS:
+      pollServiceStatus()
+        .then(status => sendResponse({ success: true, status }))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case MESSAGE_TYPES.FLUSH_METRICS:
+      pushMetricsNow()
+        .then(state => sendResponse({ success: true, state }))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    case 'UPDATE_SETTINGS':
+      scheduleNextFetch()
+        .then(() => setupServiceStatusAlarm())
+        .then(() => setupPeakAlarm())
+        .then(() => syncMetricsExport())
+        .then(() => syncNativeBridge())
+        .then(() => sendResponse({ success: true }))
+        .catch(err => sendResponse({ success: false, error: err.message }));
+      return true;
+
+    default:
+      sendResponse({ success: false, error: 'Unknown message' });
+      return false;
+  }
+});
+
+/**
+ * Usage data for one organization (default: primary) plus the org list
+ * and service status, so the popup can render from a single round-trip.
+ */
+async function getUsageDataForPopup(orgId) {
+  const settings = await storage.getSettings();
+  const { list } = await storage.getOrganizations();
+  const primaryOrgId = settings.organizationId || null;
+
+  const data = orgId && orgId !== primaryOrgId
+    ? await storage.getOrgUsageData(orgId)
+    : await storage.getUsageData();
+  const serviceStatus = await storage.getServiceStatus();
+
+  return { data, organizations: list, primaryOrgId, serviceStatus };
+}
+
+// Refusal when policy sets the primary organization
+const MANAGED_ORG_ERROR = 'Organization is set by your administrator';
+
+/**
+ * Make another known organization the primary one (toolbar icon + alerts)
+ */
+async function setPrimaryOrganization(orgId) {
+  const managed = await storage.getManagedSettings();
+  if (managed.organizationId) {
+    throw new Error(MANAGED_ORG_ERROR);
+  }
+
+  const { list } = await storage.getOrganizations();
+  if (!list.some(o => o.id === orgId)) {
+    throw new Error('Unknown organization');
+  }
+
+  await storage.setSettings({ organizationId: orgId });
+  await storage.setUsageData(await storage.getOrgUsageData(orgId));
+  await storage.setNotificationState({ lastNotifiedThreshold: 0 });
+  await refreshIcon();
+}
+
+// ============================================
+// Managed Policy
+// ============================================
+
+/**
+ * An administrator changed the policy (chrome.storage.managed): apply it
+ * without waiting for a restart. getSettings() already merges it in, so
+ * this only re-runs whatever depends on the changed values.
+ */
+async function applyPolicyChange(changes) {
+  console.log('[ClaudeKarma] Policy changed:', Object.keys(changes));
+
+  if (changes.refreshInterval || changes.adaptiveRefresh) {
+    await scheduleNextFetch();
+  }
+  if (changes.nativeBridge || changes.claudeCodeLogs) {
+    await syncNativeBridge();
+  }
+  if (changes.statusPageUrl) {
+    await setupServiceStatusAlarm();
+  }
+  if (changes.webhooks) {
+    await setupPeakAlarm();
+  }
+  if (changes.metricsExport) {
+    await syncMetricsExport();
+  }
+
+  if (changes.organizationId) {
+    const settings = await storage.getSettings();
+    if (settings.organizationId) {
+      await storage.setUsageData(await storage.getOrgUsageData(settings.organizationId));
+      await storage.setNotificationState({ lastNotifiedThreshold: 0 });
+    }
+    await fetchUsageData({ force: true });
+  }
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'managed') return;
+  applyPolicyChange(changes).catch(error => {
+    console.error('[ClaudeKarma] Applying policy failed:', error);
+  });
+});
+
+// ============================================
+// External API
+// ============================================
+
+// Subscription ports from allowlisted extensions/pages
+const externalPorts = new Set();
+
+/**
+ * An extension is identified by its ID, a web page by its origin
+ */
+async function isExternalSenderAllowed(sender) {
+  const settings = await storage.getSettings();
+  const allowlist = settings.externalAllowlist || [];
+
+  if (sender.origin && allowlist.includes(sender.origin)) return true;
+  if (sender.url && !sender.origin) {
+    try {
+      if (allowlist.includes(new URL(sender.url).origin)) return true;
+    } catch (e) { /* not a URL */ }
+  }
+  return !!sender.id && sender.id !== chrome.runtime.id && allowlist.includes(sender.id);
+}
+
+/**
+ * Usage data as exposed to other extensions: no raw API payload
+ */
+function toPublicUsageData(data) {
+  if (!data) return null;
+  const { _raw, ...publicData } = data;
+  return publicData;
+}
+
+function serializePeakState() {
+  const peak = getCurrentPeakState();
+  return {
+    state: peak.state,
+    nextState: peak.nextState,
+    nextChangeAt: peak.nextChangeAt.getTime()
+  };
+}
+
+/**
+ * start/end of a getHistory request as timestamps inside the retention
+ * window; a missing one means the window's edge
+ */
+function readHistoryRange(message) {
+  const now = Date.now();
+  const oldest = now - TIMING.HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const start = message.start == null ? oldest : Number(message.start);
+  const end = message.end == null ? now : Number(message.end);
+
+  if (!Number.isFinite(start) || !Number.isFinite(end)) {
+    throw new Error('start and end must be timestamps in milliseconds');
+  }
+  if (start > end || end < oldest || start > now) {
+    throw new Error('Range outside the last ' + TIMING.HISTORY_RETENTION_DAYS + ' days of history');
+  }
+  return { start: Math.max(start, oldest), end: Math.min(end, now) };
+}
+
+async function handleExternalMessage(message) {
+  switch (message?.type) {
+    case EXTERNAL_MESSAGE_TYPES.GET_USAGE: {
+      const { data, organizations, primaryOrgId } = await getUsageDataForPopup(message.orgId);
+      return {
+        data: toPublicUsageData(data),
+        organizations: organizations.map(o => ({ id: o.id, name: o.name })),
+        primaryOrgId
+      };
+    }
+
+    case EXTERNAL_MESSAGE_TYPES.GET_HISTORY: {
+      const settings = await storage.getSettings();
+      const orgId = message.orgId || settings.organizationId;
+      const { start, end } = readHistoryRange(message);
+      return { history: await storage.getUsageHistory(start, end, orgId) };
+    }
+
+    case EXTERNAL_MESSAGE_TYPES.GET_PEAK_STATE:
+      return { peak: serializePeakState() };
+
+    default:
+      throw new Error('Unknown message');
+  }
+}
+
+/**
+ * Push a saved update to every subscriber
+ */
+function broadcastExternal(orgId, data) {
+  const message = {
+    type: EXTERNAL_MESSAGE_TYPES.USAGE_DATA_UPDATED,
+    orgId: orgId,
+    data: toPublicUsageData(data),
+    peak: serializePeakState()
+  };
+
+  externalPorts.forEach(port => {
+    try {
+      port.postMessage(message);
+    } catch (e) {
+      externalPorts.delete(port);
+    }
+  });
+}
+
+chrome.runtime.onMessageExternal?.addListener((message, sender, sendResponse) => {
+  isExternalSenderAllowed(sender)
+    .then(allowed => {
+      if (!allowed) throw new Error('Not allowed');
+      return handleExternalMessage(message);
+    })
+    .then(result => sendResponse({ success: true, ...result }))
+    .catch(err => sendResponse({ success: false, error: err.message }));
+  return true;
+});
+
+chrome.runtime.onConnectExternal?.addListener(async (port) => {
+  if (port.name !== EXTERNAL_PORT_NAME || !(await isExternalSenderAllowed(port.sender))) {
+    port.disconnect();
+    return;
+  }
+
+  externalPorts.add(port);
+  port.onDisconnect.addListener(() => externalPorts.delete(port));
+
+  // Start subscribers off with the current state
+  const usageData = await storage.getUsageData();
+  const settings = await storage.getSettings();
+  port.postMessage({
+    type: EXTERNAL_MESSAGE_TYPES.USAGE_DATA_UPDATED,
+    orgId: settings.organizationId || null,
+    data: toPublicUsageData(usageData),
+    peak: serializePeakState()
+  });
+});
+
+// Revoke subscriptions as soon as a sender is removed from the allowlist (by the user or policy)
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  const allowlistChanged = (area === 'local' && changes[STORAGE_KEYS.SETTINGS]) ||
+    (area === 'managed' && changes.externalAllowlist);
+  if (!allowlistChanged || externalPorts.size === 0) return;
+
+  for (const port of externalPorts) {
+    if (!(await isExternalSenderAllowed(port.sender))) {
+      externalPorts.delete(port);
+      port.disconnect();
+    }
+  }
+});
+
+// ============================================
+// Webhooks
+// ============================================
+
+/**
+ * Enabled targets with a usable URL subscribed to an event
+ */
+function getWebhookTargets(settings, event) {
+  return (settings.webhooks || []).filter(target =>
+    target.enabled !== false && target.url && (target.events || []).includes(event));
+}
+
+/**
+ * Template fields common to every event: who and how much
+ */
+async function buildWebhookFields(event, details) {
+  const settings = await storage.getSettings();
+  const usageData = await storage.getUsageData();
+  const { list } = await storage.getOrganizations();
+  const orgId = details.orgId || settings.organizationId || null;
+
+  return {
+    event,
+    timestamp: new Date().toISOString(),
+    orgId,
+    org: list.find(o => o.id === orgId)?.name || null,
+    session: Math.round(usageData.currentSession?.percentage ?? 0),
+    weekly: Math.round(usageData.weeklyLimits?.allModels?.percentage ?? 0),
+    ...details
+  };
+}
+
+/**
+ * POST an event to every subscribed target. Failed deliveries are queued
+ * for retry. Never throws, so callers can fire and forget.
+ *
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} details - { title, message } plus event-specific fields
+ */
+async function emitWebhookEvent(event, details) {
+  try {
+    const settings = await storage.getSettings();
+    const targets = getWebhookTargets(settings, event);
+    if (targets.length === 0) return;
+
+    const fields = await buildWebhookFields(event, details);
+    for (const target of targets) {
+      await deliverWebhook(target, event, fields, 1);
+    }
+  } catch (error) {
+    console.error('[ClaudeKarma] Webhook ' + event + ' failed:', error);
+  }
+}
+
+/**
+ * One delivery attempt: send, log, and queue a retry if worth it
+ * @param {Object} fields - Template fields, or a rendered body (string) on retries
+ * @returns {Promise<Object>} The log entry
+ */
+async function deliverWebhook(target, event, fields, attempt) {
+  let body;
+  let result;
+  try {
+    const origin = webhookOriginPattern(target.url);
+    if (!origin) throw new Error('Invalid URL');
+
+    body = typeof fields === 'string' ? fields : renderWebhookBody(target.template, fields);
+    result = await chrome.permissions.contains({ origins: [origin] })
+      ? await sendWebhook(target, body)
+      : { ok: false, status: null, error: 'No permission for this URL (use "Send test" to grant it)', retryable: false };
+  } catch (error) {
+    // Bad template or URL: retrying won't help
+    result = { ok: false, status: null, error: error.message, retryable: false };
+  }
+
+  const willRetry = result.retryable && attempt < TIMING.WEBHOOK_MAX_ATTEMPTS && event !== WEBHOOK_EVENTS.TEST;
+  const entry = {
+    t: Date.now(),
+    targetId: target.id,
+    url: target.url,
+    event,
+    attempt,
+    ok: result.ok,
+    status: result.status,
+    error: result.error,
+    willRetry
+  };
+  await storage.appendWebhookLog(entry);
+
+  if (result.ok) {
+    console.log('[ClaudeKarma] Webhook ' + event + ' delivered to ' + target.url);
+  } else {
+    console.warn('[ClaudeKarma] Webhook ' + event + ' to ' + target.url + ' failed: ' + result.error);
+  }
+
+  if (willRetry) {
+    await queueWebhookRetry({
+      id: target.id + ':' + entry.t,
+      targetId: target.id,
+      event,
+      body,
+      attempt: attempt + 1,
+      nextAttemptAt: Date.now() + backoffDelay(attempt - 1, TIMING.WEBHOOK_RETRY_BASE_MS, TIMING.WEBHOOK_RETRY_MAX_MS)
+    });
+  }
+  return entry;
+}
+
+async function queueWebhookRetry(delivery) {
+  const queue = await storage.getWebhookQueue();
+  await storage.setWebhookQueue([...queue, delivery]);
+  await scheduleWebhookRetryAlarm();
+}
+
+async function scheduleWebhookRetryAlarm() {
+  const queue = await storage.getWebhookQueue();
+  if (queue.length === 0) {
+    await chrome.alarms.clear(ALARMS.WEBHOOK_RETRY);
+    return;
+  }
+  const next = Math.min(...queue.map(d => d.nextAttemptAt));
+  // Alarms can't fire sooner than 30s from now
+  chrome.alarms.create(ALARMS.WEBHOOK_RETRY, { when: Math.max(next, Date.now() + TIMING.FETCH_BACKOFF_BASE_MS) });
+}
+
+/**
+ * Retry every queued delivery that is due. Targets removed or disabled
+ * since are dropped.
+ */
+async function processWebhookQueue() {
+  const queue = await storage.getWebhookQueue();
+  const now = Date.now();
+  const due = queue.filter(d => d.nextAttemptAt <= now);
+  await storage.setWebhookQueue(queue.filter(d => d.nextAttemptAt > now));
+
+  const settings = await storage.getSettings();
+  for (const delivery of due) {
+    const target = (settings.webhooks || []).find(t => t.id === delivery.targetId);
+    if (!target || target.enabled === false || !target.url) continue;
+    await deliverWebhook(target, delivery.event, delivery.body, delivery.attempt);
+  }
+
+  await scheduleWebhookRetryAlarm();
+}
+
+/**
+ * "Send test" from settings: one attempt, no retry, result returned to the popup
+ */
+async function testWebhook(targetId) {
+  const settings = await storage.getSettings();
+  const target = (settings.webhooks || []).find(t => t.id === targetId);
+  if (!target?.url) throw new Error('Set a URL first');
+
+  const fields = await buildWebhookFields(WEBHOOK_EVENTS.TEST, {
+    title: 'ClaudeKarma',
+    message: 'Test message from ClaudeKarma'
+  });
+  return deliverWebhook(target, WEBHOOK_EVENTS.TEST, fields, 1);
+}
+
+/**
+ * Arm an alarm for the next peak start or end, only while some target
+ * wants those events.
+ */
+async function setupPeakAlarm() {
+  const settings = await storage.getSettings();
+  const wanted = getWebhookTargets(settings, WEBHOOK_EVENTS.PEAK_START).length > 0 ||
+    getWebhookTargets(settings, WEBHOOK_EVENTS.PEAK_END).length > 0;
+
+  if (!wanted) {
+    await chrome.alarms.clear(ALARMS.PEAK_CHANGE);
+    return;
+  }
+
+  const { nextChangeAt } = getCurrentPeakState(new Date());
+  // A second late, so the schedule already reports the new state
+  chrome.alarms.create(ALARMS.PEAK_CHANGE, { when: nextChangeAt.getTime() + 1000 });
+}
+
+async function handlePeakChange(alarm) {
+  // Browser was closed through the change: it's old news now
+  const late = Date.now() - alarm.scheduledTime > TIMING.WEBHOOK_RETRY_MAX_MS;
+
+  if (!late) {
+    const { state, nextChangeAt } = getCurrentPeakState(new Date());
+    if (state === 'peak') {
+      const until = nextChangeAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      emitWebhookEvent(WEBHOOK_EVENTS.PEAK_START, {
+        title: 'Peak hours started',
+        message: 'Session limits drain faster until ' + until
+      });
+    } else {
+      emitWebhookEvent(WEBHOOK_EVENTS.PEAK_END, {
+        title: 'Peak hours ended',
+        message: 'Session limits are back to the standard rate'
+      });
+    }
+  }
+
+  await setupPeakAlarm();
+}
+
+// ============================================
+// Session Log
+// ============================================
+
+/**
+ * Feed a fetch into the organization's session log (lib/sessions.js)
+ */
+async function recordSession(usageData, t, orgId) {
+  if (isLimitDegraded(usageData.schemaIssues, 'session')) return;
+
+  try {
+    const log = await storage.getSessionLog(orgId);
+    const { log: updated, closed } = trackSession(log, usageData.currentSession, t);
+    const cutoff = t - TIMING.SESSION_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    await storage.setSessionLog(orgId, pruneSessions(updated, cutoff));
+
+    if (closed) {
+      console.log('[ClaudeKarma] Session ended: peak ' + closed.peak + '%' + (closed.hit ? ', limit hit' : ''));
+    }
+  } catch (error) {
+    console.error('[ClaudeKarma] Session log update failed:', error);
+  }
+}
+
+// ============================================
+// Metrics Export
+// ============================================
+
+// Single-flight: a push already running
+let inFlightMetricsFlush = null;
+
+function getMetricsConfig(settings) {
+  const config = settings.metricsExport;
+  return config?.url ? config : null;
+}
+
+/**
+ * Queue the points of a new snapshot and arm a flush, so every org
+ * fetched in the same refresh goes out in one push
+ */
+async function bufferMetrics(usageData, snapshot, orgId) {
+  try {
+    const settings = await storage.getSettings();
+    if (!getMetricsConfig(settings)) return;
+
+    await storage.appendMetricsBuffer(buildMetricPoints(usageData, {
+      t: snapshot.t,
+      orgId,
+      planTier: usageData.planTier
+    }));
+    await scheduleMetricsFlush();
+  } catch (error) {
+    console.error('[ClaudeKarma] Buffering metrics failed:', error);
+  }
+}
+
+/**
+ * Arm the flush alarm if points are waiting. An alarm already armed
+ * (possibly a backoff after failures) is left alone.
+ */
+async function scheduleMetricsFlush() {
+  const settings = await storage.getSettings();
+  const buffer = await storage.getMetricsBuffer();
+  if (!getMetricsConfig(settings) || buffer.length === 0) return;
+
+  const alarm = await chrome.alarms.get(ALARMS.METRICS_FLUSH);
+  if (!alarm) {
+    chrome.alarms.create(ALARMS.METRICS_FLUSH, { when: Date.now() + TIMING.METRICS_FLUSH_DELAY_MS });
+  }
+}
+
+/**
+ * Push everything buffered. Delivered points are dropped; on failure
+ * the rest stays buffered and the next attempt backs off.
+ */
+function flushMetrics() {
+  if (inFlightMetricsFlush) return inFlightMetricsFlush;
+
+  inFlightMetricsFlush = runMetricsFlush().finally(() => {
+    inFlightMetricsFlush = null;
+  });
+  return inFlightMetricsFlush;
+}
+
+async function runMetricsFlush() {
+  const settings = await storage.getSettings();
+  const config = getMetricsConfig(settings);
+  const buffer = await storage.getMetricsBuffer();
+  if (!config || buffer.length === 0) return storage.getMetricsExportState();
+
+  let error = null;
+  try {
+    const origin = new URL(config.url).origin + '/*';
+    if (!(await chrome.permissions.contains({ origins: [origin] }))) {
+      throw new Error('No permission for this URL (use "Push now" to grant it)');
+    }
+
+    for (const request of buildMetricsRequests(config, buffer)) {
+      const result = await sendMetrics(request, config.headers);
+      if (!result.ok) {
+        error = result.error;
+        break;
+      }
+      // Pushgateway groups overlap in time: only drop once all are in
+      if (config.format !== METRICS_FORMATS.PUSHGATEWAY) await storage.dropMetricsBuffer(request.lastT);
+    }
+    if (!error) await storage.dropMetricsBuffer(Math.max(...buffer.map(point => point.t)));
+  } catch (e) {
+    error = e.message;
+  }
+
+  const { failures } = await storage.getMetricsExportState();
+  if (!error) {
+    console.log('[ClaudeKarma] Pushed ' + buffer.length + ' metric points');
+    await storage.setMetricsExportState({ lastPushAt: Date.now(), lastError: null, failures: 0 });
+    await scheduleMetricsFlush();
+  } else {
+    console.warn('[ClaudeKarma] Metrics push failed:', error);
+    await storage.setMetricsExportState({ lastError: error, failures: failures + 1 });
+    chrome.alarms.create(ALARMS.METRICS_FLUSH, {
+      when: Date.now() + backoffDelay(failures, TIMING.FETCH_BACKOFF_BASE_MS, TIMING.METRICS_RETRY_MAX_MS)
+    });
+  }
+
+  return storage.getMetricsExportState();
+}
+
+/**
+ * "Push now" from settings: buffer the primary org's current values if
+ * nothing is waiting, then flush right away.
+ */
+async function pushMetricsNow() {
+  const settings = await storage.getSettings();
+  if (!getMetricsConfig(settings)) throw new Error('Set a URL first');
+
+  const buffer = await storage.getMetricsBuffer();
+  const usageData = await storage.getUsageData();
+  if (buffer.length === 0 && usageData.lastSuccessAt) {
+    await storage.appendMetricsBuffer(buildMetricPoints(usageData, {
+      t: Date.now(),
+      orgId: settings.organizationId || null,
+      planTier: usageData.planTier
+    }));
+  }
+
+  await chrome.alarms.clear(ALARMS.METRICS_FLUSH);
+  return flushMetrics();
+}
+
+/**
+ * Settings changed: drop the backlog once the export is off, and give a
+ * new endpoint a fresh start
+ */
+async function syncMetricsExport() {
+  const settings = await storage.getSettings();
+  if (!getMetricsConfig(settings)) {
+    await chrome.alarms.clear(ALARMS.METRICS_FLUSH);
+    await storage.clearMetricsBuffer();
+    return;
+  }
+
+  const { failures } = await storage.getMetricsExportState();
+  if (failures > 0) {
+    await chrome.alarms.clear(ALARMS.METRICS_FLUSH);
+    await storage.setMetricsExportState({ failures: 0 });
+  }
+  await scheduleMetricsFlush();
+}
+
+// ============================================
+// Native Bridge
+// ============================================
+
+// Open port to the native host, kept for the lifetime of the service worker
+let nativePort = null;
+
+/**
+ * The optional nativeMessaging permission, needed by the status file and
+ * the Claude Code import alike
+ */
+async function hasNativeMessaging() {
+  if (!chrome.runtime.connectNative) return false;
+  return chrome.permissions.contains({ permissions: ['nativeMessaging'] });
+}
+
+async function isNativeBridgeEnabled() {
+  const settings = await storage.getSettings();
+  if (!settings.nativeBridge) return false;
+  return hasNativeMessaging();
+}
+
+function connectNativeHost() {
+  if (nativePort) return nativePort;
+
+  nativePort = chrome.runtime.connectNative(NATIVE_HOST_NAME);
+
+  nativePort.onMessage.addListener(message => {
+    if (message.type === 'ack') {
+      storage.setNativeBridgeState({ connected: true, error: null, lastAckAt: Date.now() });
+    } else if (message.type === 'transcripts') {
+      handleCliUsage(message);
+    } else if (message.type === 'error') {
+      console.warn('[ClaudeKarma] Native host error:', message.error);
+      storage.setNativeBridgeState({ error: message.error });
+    }
+  });
+
+  nativePort.onDisconnect.addListener(() => {
+    // Usually "Specified native messaging host not found." = not installed
+    const error = chrome.runtime.lastError?.message || 'Host disconnected';
+    console.warn('[ClaudeKarma] Native host disconnected:', error);
+    nativePort = null;
+    storage.setNativeBridgeState({ connected: false, error });
+  });
+
+  return nativePort;
+}
+
+/**
+ * What the status file contains: the numbers behind the toolbar icon
+ */
+async function buildNativeStatus(usageData) {
+  const settings = await storage.getSettings();
+  const { list } = await storage.getOrganizations();
+  const org = list.find(o => o.id === settings.organizationId);
+  const toLimit = limit => ({ percentage: limit.percentage, resetsAt: limit.resetTimestamp });
+  const limits = listLimits(usageData);
+
+  return {
+    updatedAt: usageData.lastSuccessAt || usageData.lastFetchedAt || null,
+    organization: org ? { id: org.id, name: org.name } : null,
+    planTier: formatPlanTier(usageData.planTier),
+    session: toLimit(limits.find(l => l.key === 'session')),
+    weekly: toLimit(limits.find(l => l.key === 'weekly')),
+    models: limits
+      .filter(l => l.kind === 'model')
+      .map(l => ({ codename: l.key.slice('model:'.length), name: l.label, ...toLimit(l) })),
+    peak: serializePeakState(),
+    degraded: !!usageData.degraded
+  };
+}
+
+async function pushNativeStatus(usageData) {
+  if (!(await isNativeBridgeEnabled())) return;
+
+  try {
+    connectNativeHost().postMessage({ type: 'status', status: await buildNativeStatus(usageData) });
+  } catch (error) {
+    console.warn('[ClaudeKarma] Native push failed:', error.message);
+    await storage.setNativeBridgeState({ connected: false, error: error.message });
+  }
+}
+
+/**
+ * Settings changed: connect and push the current data, or let go of the
+ * host once neither the status file nor the Claude Code import needs it
+ */
+async function syncNativeBridge() {
+  const bridgeEnabled = await isNativeBridgeEnabled();
+  const cliImportEnabled = await isCliImportEnabled();
+
+  if (bridgeEnabled) {
+    await pushNativeStatus(await storage.getUsageData());
+  } else if (nativePort && !cliImportEnabled) {
+    nativePort.disconnect();
+    nativePort = null;
+    await storage.setNativeBridgeState({ connected: false, error: null });
+  }
+
+  await setupCliUsageScan();
+}
+
+// ============================================
+// Claude Code Usage
+// ============================================
+
+async function isCliImportEnabled() {
+  const settings = await storage.getSettings();
+  if (!settings.claudeCodeLogs) return false;
+  return hasNativeMessaging();
+}
+
+/**
+ * Scan transcripts every CLI_USAGE_SCAN_MINUTES while the import is on
+ */
+async function setupCliUsageScan() {
+  if (!(await isCliImportEnabled())) {
+    await chrome.alarms.clear(ALARMS.CLI_USAGE_SCAN);
+    return;
+  }
+
+  const alarm = await chrome.alarms.get(ALARMS.CLI_USAGE_SCAN);
+  if (!alarm) {
+    chrome.alarms.create(ALARMS.CLI_USAGE_SCAN, {
+      delayInMinutes: 0.1,
+      periodInMinutes: TIMING.CLI_USAGE_SCAN_MINUTES
+    });
+  }
+}
+
+/**
+ * Ask the host for token buckets since the last scan; the answer comes
+ * back on the port (handleCliUsage). The last hour is read again since it
+ * was still filling up.
+ */
+async function requestCliUsage() {
+  if (!(await isCliImportEnabled())) return;
+
+  const { scannedAt } = await storage.getCliUsage();
+  const since = scannedAt
+    ? scannedAt - 60 * 60 * 1000
+    : Date.now() - TIMING.HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+  try {
+    connectNativeHost().postMessage({ type: 'transcripts', since });
+  } catch (error) {
+    console.warn('[ClaudeKarma] Claude Code scan request failed:', error.message);
+    await storage.setCliUsageError(error.message);
+  }
+}
+
+async function handleCliUsage(message) {
+  if (message.error) {
+    console.warn('[ClaudeKarma] Claude Code scan failed:', message.error);
+    await storage.setCliUsageError(message.error);
+    return;
+  }
+
+  await storage.mergeCliUsage(message.since, message.buckets || [], message.files || 0);
+  console.log('[ClaudeKarma] Claude Code usage: ' + (message.buckets || []).length + ' buckets from ' + message.files + ' transcripts');
+}
 
 // ============================================
 // Icon Updates
@@ -569,12 +2720,15 @@ async function refreshIcon() {
   try {
     const usageData = await storage.getUsageData();
 
-    // Get both session and weekly percentages
-    const sessionPct = usageData.currentSession?.percentage || 0;
-    const weeklyPct = usageData.weeklyLimits?.allModels?.percentage || 0;
+    // Get both session and weekly percentages; a limit the response didn't
+    // carry reliably is drawn as unknown rather than as 0%
+    const sessionUnknown = isLimitDegraded(usageData.schemaIssues, 'session');
+    const weeklyUnknown = isLimitDegraded(usageData.schemaIssues, 'weekly');
+    const sessionPct = sessionUnknown ? null : usageData.currentSession?.percentage || 0;
+    const weeklyPct = weeklyUnknown ? null : usageData.weeklyLimits?.allModels?.percentage || 0;
 
-    const sessionProgress = sessionPct / 100;
-    const weeklyProgress = weeklyPct / 100;
+    const sessionProgress = sessionUnknown ? null : sessionPct / 100;
+    const weeklyProgress = weeklyUnknown ? null : weeklyPct / 100;
 
     // Stop any running animation and update with both values
     await stopAnimation(sessionProgress, weeklyProgress);
@@ -584,7 +2738,8 @@ async function refreshIcon() {
       startAnimation('blink', sessionProgress, weeklyProgress);
     }
 
-    console.log('[ClaudeKarma] Icon: session=' + sessionPct + '%, weekly=' + weeklyPct + '%');
+    console.log('[ClaudeKarma] Icon: session=' + (sessionUnknown ? '?' : sessionPct + '%') +
+      ', weekly=' + (weeklyUnknown ? '?' : weeklyPct + '%'));
   } catch (error) {
     console.error('[ClaudeKarma] Icon update failed:', error);
   }
@@ -597,5 +2752,5 @@ async function refreshIcon() {
 (async () => {
   console.log('[ClaudeKarma] Service worker init');
   await refreshIcon();
-  await fetchUsageData();
+  await fetchUnlessBackingOff();
 })();
@@ -0,0 +1,120 @@
+/**
+ * ClaudeKarma - Claude Code Usage
+ *
+ * Token counts from local Claude Code transcripts, summed by the native
+ * host into hourly buckets: { t, p: project, m: model, i, o, cc, cr, n }.
+ *
+ * Transcripts have tokens, claude.ai has percentages, and there's no
+ * exchange rate between the two. Attribution is therefore by hour: the
+ * percentage gained during an hour in which Claude Code was working counts
+ * as Claude Code's. Overlapping web use in the same hour is over-credited.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Tokens that count against limits. Cache reads are left out: they are
+ * by far the largest number and cost a fraction of fresh input.
+ */
+export function cliTokens(bucket) {
+  return (bucket.i || 0) + (bucket.o || 0) + (bucket.cc || 0);
+}
+
+/**
+ * Totals per project and per model in [start, end)
+ * @returns {{ tokens: number, cacheReads: number, messages: number,
+ *   projects: Array<{ name: string, tokens: number }>, models: Array<{ name: string, tokens: number }> }}
+ */
+export function summarizeCliUsage(buckets, start, end = Infinity) {
+  const projects = {};
+  const models = {};
+  let tokens = 0;
+  let cacheReads = 0;
+  let messages = 0;
+
+  (buckets || []).forEach(bucket => {
+    if (bucket.t < start || bucket.t >= end) return;
+    const n = cliTokens(bucket);
+    tokens += n;
+    cacheReads += bucket.cr || 0;
+    messages += bucket.n || 0;
+    projects[bucket.p] = (projects[bucket.p] || 0) + n;
+    models[bucket.m] = (models[bucket.m] || 0) + n;
+  });
+
+  const sorted = totals => Object.entries(totals)
+    .map(([name, total]) => ({ name, tokens: total }))
+    .sort((a, b) => b.tokens - a.tokens);
+
+  return { tokens, cacheReads, messages, projects: sorted(projects), models: sorted(models) };
+}
+
+/**
+ * Claude Code activity per hour
+ * @returns {Map<number, { tokens: number, projects: string[] }>} Keyed by hour start
+ */
+export function getCliHours(buckets, start, end = Infinity) {
+  const hours = new Map();
+
+  (buckets || []).forEach(bucket => {
+    if (bucket.t < start || bucket.t >= end) return;
+    const hour = hours.get(bucket.t) || { tokens: 0, projects: [] };
+    hour.tokens += cliTokens(bucket);
+    if (!hour.projects.includes(bucket.p)) hour.projects.push(bucket.p);
+    hours.set(bucket.t, hour);
+  });
+
+  return hours;
+}
+
+/**
+ * Split the percentage gained on a limit in [start, end) between hours
+ * with and without Claude Code activity.
+ *
+ * @param {Array} history - Usage snapshots, oldest first
+ * @param {Array} buckets - Claude Code hourly buckets
+ * @param {string} field - Snapshot field: 's' (session) or 'w' (weekly)
+ * @returns {{ gained: number, cli: number }} Percentage points
+ */
+export function attributeUsageToCli(history, buckets, start, end, field) {
+  const cliHours = getCliHours(buckets, start - HOUR_MS, end);
+  let gained = 0;
+  let cli = 0;
+
+  for (let i = 1; i < (history || []).length; i++) {
+    const prev = history[i - 1];
+    const cur = history[i];
+    if (cur.t < start || cur.t >= end) continue;
+    if (typeof prev[field] !== 'number' || typeof cur[field] !== 'number') continue;
+
+    // A drop is a reset, not negative usage
+    const delta = cur[field] - prev[field];
+    if (delta <= 0) continue;
+    gained += delta;
+
+    for (let hour = Math.floor(prev.t / HOUR_MS) * HOUR_MS; hour <= cur.t; hour += HOUR_MS) {
+      if (cliHours.has(hour)) {
+        cli += delta;
+        break;
+      }
+    }
+  }
+
+  return { gained, cli };
+}
+
+/**
+ * 1234 → "1.2k", 3400000 → "3.4M"
+ */
+export function formatTokenCount(n) {
+  if (n >= 1e6) return (n / 1e6).toFixed(n >= 1e7 ? 0 : 1) + 'M';
+  if (n >= 1e3) return (n / 1e3).toFixed(n >= 1e4 ? 0 : 1) + 'k';
+  return String(n);
+}
+
+/**
+ * "claude-sonnet-4-5-20250929" → "sonnet-4-5"
+ */
+export function formatCliModel(model) {
+  return String(model || '').replace(/^claude-/, '').replace(/-\d{8}$/, '');
+}
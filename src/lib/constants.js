@@ -11,21 +11,55 @@ export const STORAGE_KEYS = {
   LAST_FETCH: 'lastFetchedAt',
   FETCH_SOURCE: 'fetchSource',
   USAGE_HISTORY: 'usageHistory',
-  NOTIFICATION_STATE: 'notificationState'
+  NOTIFICATION_STATE: 'notificationState',
+  ORGANIZATIONS: 'organizations',
+  ORG_USAGE_DATA: 'orgUsageData',
+  FETCH_STATE: 'fetchState',
+  RESET_WATCH: 'resetWatch',
+  SCHEMA_REPORT: 'schemaReport',
+  PLAN_TIERS: 'planTiers',
+  PLAN_HISTORY: 'planHistory',
+  NATIVE_BRIDGE: 'nativeBridge',
+  SERVICE_STATUS: 'serviceStatus',
+  WEBHOOK_QUEUE: 'webhookQueue',
+  WEBHOOK_LOG: 'webhookLog',
+  CLI_USAGE: 'cliUsage',
+  METRICS_BUFFER: 'metricsBuffer',
+  METRICS_EXPORT_STATE: 'metricsExportState',
+  SESSION_LOG: 'sessionLog'
 };
 
 // Alarm names
 export const ALARMS = {
-  FETCH_USAGE: 'fetchUsageData'
+  FETCH_USAGE: 'fetchUsageData',
+  RETRY_FETCH: 'retryFetchUsageData',
+  SERVICE_STATUS: 'pollServiceStatus',
+  WEBHOOK_RETRY: 'retryWebhooks',
+  PEAK_CHANGE: 'peakChange', // next peak start/end, armed only for webhooks
+  CLI_USAGE_SCAN: 'scanClaudeCodeLogs',
+  METRICS_FLUSH: 'flushMetrics',
+  LIMIT_RESET_PREFIX: 'limitReset:' // + limit key, e.g. 'limitReset:session'
 };
 
 // Default settings
 export const DEFAULT_SETTINGS = {
-  refreshInterval: 5, // minutes
+  refreshInterval: 5, // minutes (base interval when adaptiveRefresh is on)
+  adaptiveRefresh: true,
   notifications: {
     enabled: true,
-    thresholds: [75, 90, 100]
+    thresholds: [75, 90, 100],
+    routineThresholds: [80, 100], // % of the daily routines budget; 100 = exhausted
+    resetAlerts: {}, // limit key → true, opt-in per limit (see lib/limits.js)
+    forecastAlerts: false, // warn when the current pace runs out a limit before it resets
+    paceAlerts: false // warn when today's share of the weekly limit is used up (see lib/pacing.js)
   },
+  externalAllowlist: [], // extension IDs or page origins allowed to use the external API
+  nativeBridge: false, // push status to the native host (native-host/), needs nativeMessaging
+  claudeCodeLogs: false, // import token counts from Claude Code transcripts via the native host
+  disableExternalLinks: false, // hide tokenkarma.app links (usually set by policy)
+  statusPageUrl: 'https://status.anthropic.com/api/v2/summary.json', // Statuspage feed, '' = off
+  webhooks: [], // outbound webhook targets (see lib/webhooks.js)
+  metricsExport: { format: 'influx', url: '', headers: {} }, // time-series export, '' = off (see lib/metrics-export.js)
   theme: 'dark',
   language: 'en'
 };
@@ -35,9 +69,55 @@ export const TIMING = {
   REFRESH_INTERVAL_MINUTES: 5,
   MUTATION_OBSERVER_TIMEOUT_MS: 15000,
   MIN_FETCH_INTERVAL_MS: 30000, // 30 seconds minimum between fetches
-  HISTORY_RETENTION_DAYS: 14
+  ORG_DISCOVERY_INTERVAL_MS: 60 * 60 * 1000, // re-list organizations hourly
+  FETCH_INLINE_RETRIES: 2,               // quick retries inside one fetch
+  FETCH_INLINE_RETRY_BASE_MS: 1000,      // 1s, 2s, ...
+  FETCH_INLINE_RETRY_MAX_MS: 10000,      // longer waits go through an alarm instead
+  FETCH_BACKOFF_BASE_MS: 30000,          // alarm backoff: 30s, 1m, 2m, ... (alarms can't fire sooner)
+  FETCH_BACKOFF_MAX_MS: 15 * 60 * 1000,
+  IDLE_DETECTION_SECONDS: 5 * 60,        // chrome.idle threshold
+  RESUME_STALE_MS: 60000,                // refetch on resume if data is older than this
+  RESET_GRACE_MS: 15000,                 // refetch this long after a limit resets
+  PLAN_TIER_TTL_MS: 6 * 60 * 60 * 1000,  // re-check rate_limits tier every 6 hours
+  BACKGROUND_SCRAPE_TIMEOUT_MS: 30000,   // give up on the offscreen usage page after this
+  BACKGROUND_SCRAPE_RETRY_MS: 15 * 60 * 1000, // after a scrape that got nothing, wait this long before the next
+  SESSION_CHANGE_DEBOUNCE_MS: 2000,      // login/logout fires several cookie events
+  TAB_TRANSPORT_RECHECK_MS: 60 * 60 * 1000, // while fetching through a tab, retry the worker's own fetch hourly
+  SERVICE_STATUS_POLL_MINUTES: 5,        // status page polling
+  SERVICE_STATUS_STALE_MS: 2 * 60 * 1000, // re-check on a failed fetch if older than this
+  WEBHOOK_TIMEOUT_MS: 10000,
+  WEBHOOK_MAX_ATTEMPTS: 5,               // first try + 4 retries
+  WEBHOOK_RETRY_BASE_MS: 30000,          // 30s, 1m, 2m, 4m
+  WEBHOOK_RETRY_MAX_MS: 10 * 60 * 1000,
+  CLI_USAGE_SCAN_MINUTES: 10,            // re-read Claude Code transcripts
+  METRICS_FLUSH_DELAY_MS: 30000,         // gather the orgs of one refresh into one push
+  METRICS_TIMEOUT_MS: 10000,
+  METRICS_BATCH_MAX_POINTS: 500,         // points per InfluxDB write
+  METRICS_BUFFER_MAX_POINTS: 5000,       // kept while the endpoint is down, oldest dropped first
+  METRICS_RETRY_MAX_MS: 15 * 60 * 1000,
+  HISTORY_RETENTION_DAYS: 14,
+  SESSION_LOG_RETENTION_DAYS: 90         // one entry per 5-hour session, so kept longer than snapshots
 };
 
+// Plan tiers from rate_limits (rate_limit_tier) → display names
+export const PLAN_DISPLAY_NAMES = {
+  'default_claude_free': 'Free',
+  'default_claude_pro': 'Pro',
+  'default_claude_max': 'Max 5x',
+  'default_claude_max_20x': 'Max 20x',
+  'default_claude_team': 'Team',
+  'default_claude_enterprise': 'Enterprise'
+};
+
+/**
+ * Display name for a raw or short ("max_20x") plan tier
+ */
+export function formatPlanTier(tier) {
+  if (!tier) return null;
+  const raw = tier.startsWith('default_claude_') ? tier : 'default_claude_' + tier;
+  return PLAN_DISPLAY_NAMES[raw] || tier.replace(/^default_claude_/, '');
+}
+
 // Icon sizes to generate (Chrome uses 16, 19, 32, 38, 48 for different displays/contexts)
 export const ICON_SIZES = [16, 19, 32, 38, 48];
 
@@ -53,6 +133,7 @@ export const COLORS = {
 
   // Progress ring background
   ringBackground: '#27272a',
+  unknown: '#71717a',     // Limit that could not be read
 
   // Progress colors by threshold (will be implemented by user)
   // Default values - user can customize in getProgressColor()
@@ -64,14 +145,45 @@ export const COLORS = {
   }
 };
 
+// Fetch outcome states — usageData.error holds the last failure (null when OK)
+export const FETCH_STATES = {
+  OK: 'ok',
+  OFFLINE: 'offline',
+  RATE_LIMITED: 'rate_limited',
+  SERVER_ERROR: 'server_error',
+  ORG_NOT_FOUND: 'org_not_found',
+  NOT_AUTHENTICATED: 'not_authenticated',
+  SERVICE_OUTAGE: 'service_outage', // claude.ai incident on the status page (auth errors are not trusted)
+  PARSE_ERROR: 'parse_error',
+  NEEDS_SETUP: 'needs_setup',
+  SKIPPED: 'skipped' // fetch outcome only: throttled by MIN_FETCH_INTERVAL_MS
+};
+
 // Message types for communication between components
 export const MESSAGE_TYPES = {
   USAGE_DATA_SCRAPED: 'usageDataScraped',
   REQUEST_REFRESH: 'requestRefresh',
   GET_USAGE_DATA: 'getUsageData',
+  USAGE_DATA_UPDATED: 'usageDataUpdated',
+  SET_PRIMARY_ORG: 'setPrimaryOrg',
+  TEST_WEBHOOK: 'testWebhook',
+  FLUSH_METRICS: 'flushMetrics',
+  CHECK_SERVICE_STATUS: 'checkServiceStatus'
+};
+
+// Read-only API for allowlisted extensions and pages (onMessageExternal / onConnectExternal)
+export const EXTERNAL_MESSAGE_TYPES = {
+  GET_USAGE: 'getUsage',
+  GET_HISTORY: 'getHistory',
+  GET_PEAK_STATE: 'getPeakState',
   USAGE_DATA_UPDATED: 'usageDataUpdated'
 };
 
+export const EXTERNAL_PORT_NAME = 'claudekarma.subscribe';
+
+// Native messaging host that writes ~/.claudekarma/status.json (see native-host/)
+export const NATIVE_HOST_NAME = 'com.claudekarma.status';
+
 // Default usage data structure
 export const DEFAULT_USAGE_DATA = {
   currentSession: {
@@ -95,6 +207,14 @@ export const DEFAULT_USAGE_DATA = {
     models: []
   },
   routines: null,
+  routineList: null,
+  extraUsage: null,
+  organizationId: null,
   lastFetchedAt: null,
-  fetchSource: null
+  lastSuccessAt: null,
+  fetchSource: null,
+  degraded: false,
+  schemaIssues: [],
+  error: null,
+  errorInfo: null
 };
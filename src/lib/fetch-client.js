@@ -0,0 +1,162 @@
+/**
+ * ClaudeKarma - Fetch Client
+ *
+ * Wraps fetch() for claude.ai requests:
+ * - Classifies every failure into a FETCH_STATES value
+ * - Retries transient failures with exponential backoff
+ * - Honours Retry-After on 429 / 503 responses
+ */
+
+import { FETCH_STATES, TIMING } from './constants.js';
+
+// States worth retrying — the rest need the user (or a new org ID) to change
+const RETRYABLE_STATES = [
+  FETCH_STATES.OFFLINE,
+  FETCH_STATES.RATE_LIMITED,
+  FETCH_STATES.SERVER_ERROR,
+  FETCH_STATES.SERVICE_OUTAGE
+];
+
+/**
+ * A classified fetch failure
+ */
+export class FetchError extends Error {
+  /**
+   * @param {string} state - One of FETCH_STATES
+   * @param {string} message - Human-readable detail for logs
+   * @param {Object} [info]
+   * @param {number|null} [info.status] - HTTP status, if a response arrived
+   * @param {number|null} [info.retryAfterMs] - Server-requested wait
+   */
+  constructor(state, message, info) {
+    super(message);
+    this.name = 'FetchError';
+    this.state = state;
+    this.status = info?.status ?? null;
+    this.retryAfterMs = info?.retryAfterMs ?? null;
+  }
+
+  get retryable() {
+    return RETRYABLE_STATES.includes(this.state);
+  }
+}
+
+/**
+ * Map an HTTP status to a fetch state
+ * @param {number} status - HTTP status code (non-2xx)
+ * @returns {string} One of FETCH_STATES
+ */
+export function classifyStatus(status) {
+  if (status === 401 || status === 403) return FETCH_STATES.NOT_AUTHENTICATED;
+  if (status === 404) return FETCH_STATES.ORG_NOT_FOUND;
+  if (status === 429) return FETCH_STATES.RATE_LIMITED;
+  // 5xx and any other unexpected status
+  return FETCH_STATES.SERVER_ERROR;
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+  return null;
+}
+
+/**
+ * Exponential backoff with ±20% jitter
+ * @param {number} attempt - 0-based attempt number
+ * @param {number} baseMs - Delay for the first attempt
+ * @param {number} maxMs - Upper bound
+ * @returns {number} Delay in milliseconds
+ */
+export function backoffDelay(attempt, baseMs, maxMs) {
+  const delay = Math.min(maxMs, baseMs * Math.pow(2, attempt));
+  const jitter = delay * 0.2 * (Math.random() * 2 - 1);
+  return Math.round(Math.min(maxMs, delay + jitter));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Single request: resolves with parsed JSON or throws a FetchError
+ */
+async function fetchOnce(url, init, fetchImpl) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    throw new FetchError(FETCH_STATES.OFFLINE, 'Browser is offline');
+  }
+
+  let response;
+  try {
+    response = await fetchImpl(url, init);
+  } catch (error) {
+    // Network-level failure: no connection, DNS, TLS, blocked request
+    throw new FetchError(FETCH_STATES.OFFLINE, error.message);
+  }
+
+  if (!response.ok) {
+    throw new FetchError(classifyStatus(response.status), 'HTTP ' + response.status, {
+      status: response.status,
+      retryAfterMs: parseRetryAfter(response.headers.get('Retry-After'))
+    });
+  }
+
+  try {
+    return await response.json();
+  } catch (error) {
+    // Typically an HTML challenge/login page served with 200
+    throw new FetchError(FETCH_STATES.PARSE_ERROR, 'Invalid JSON: ' + error.message, {
+      status: response.status
+    });
+  }
+}
+
+/**
+ * Fetch JSON with classification and short inline retries.
+ * Waits longer than FETCH_INLINE_RETRY_MAX_MS are not slept through —
+ * the error is thrown so the caller can schedule an alarm instead.
+ *
+ * @param {string} url - Request URL
+ * @param {RequestInit} init - fetch() options
+ * @param {Object} [options]
+ * @param {number} [options.retries] - Max inline retries (default 0)
+ * @param {Function} [options.fetch] - fetch() stand-in, e.g. through a claude.ai tab
+ * @returns {Promise<any>} Parsed JSON body
+ * @throws {FetchError}
+ */
+export async function fetchJSON(url, init, options) {
+  const retries = options?.retries || 0;
+  const fetchImpl = options?.fetch || fetch;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchOnce(url, init, fetchImpl);
+    } catch (error) {
+      const wait = error.retryAfterMs ?? backoffDelay(
+        attempt,
+        TIMING.FETCH_INLINE_RETRY_BASE_MS,
+        TIMING.FETCH_INLINE_RETRY_MAX_MS
+      );
+
+      if (!error.retryable || attempt >= retries || wait > TIMING.FETCH_INLINE_RETRY_MAX_MS) {
+        throw error;
+      }
+
+      console.log('[ClaudeKarma] ' + error.state + ' on ' + url + ', retrying in ' + wait + 'ms');
+      await sleep(wait);
+    }
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * ClaudeKarma - Burn-Rate Forecast
+ *
+ * Projects when a limit reaches 100% if usage keeps its recent pace, and
+ * compares that with the reset time. The pace is the percentage gained
+ * over a lookback window of the usage history, divided by the time it
+ * took; a reset inside the window starts the count over.
+ */
+
+import { listLimits } from './limits.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// How far back the pace is measured: the last hour of a 5-hour session,
+// the last day of a 7-day limit
+const LOOKBACK_MS = {
+  session: HOUR_MS,
+  weekly: 24 * HOUR_MS,
+  model: 24 * HOUR_MS
+};
+
+// Less history than this is too noisy to extrapolate from
+const MIN_SPAN_MS = {
+  session: 10 * MINUTE_MS,
+  weekly: HOUR_MS,
+  model: HOUR_MS
+};
+
+/**
+ * A limit's value in a history snapshot, or undefined if not recorded
+ */
+function snapshotValue(entry, limit) {
+  if (limit.kind === 'session') return entry.s;
+  if (limit.kind === 'weekly') return entry.w;
+  if (limit.kind !== 'model') return undefined;
+
+  const codename = limit.key.slice('model:'.length);
+  if (entry.mm && codename in entry.mm) return entry.mm[codename];
+  // Snapshots from before per-model values only kept the primary model
+  if (entry.mn && entry.mn === limit.label) return entry.m;
+  return undefined;
+}
+
+/**
+ * Forecast one limit (see lib/limits.js for the limit shape)
+ *
+ * @param {Array} history - Usage snapshots, oldest first, covering the lookback
+ * @param {Object} limit - { key, kind, label, percentage, resetTimestamp }
+ * @param {number} [now]
+ * @returns {{ key: string, ratePerHour: number, hitAt: number|null, resetAt: number,
+ *   willHit: boolean, marginMs: number|null, projectedAtReset: number }|null}
+ *   null when the limit can't be forecast (no reset time, already full,
+ *   not enough history)
+ */
+export function forecastLimit(history, limit, now = Date.now()) {
+  const lookback = LOOKBACK_MS[limit.kind];
+  if (!lookback || !limit.resetTimestamp || limit.resetTimestamp <= now) return null;
+  if (limit.percentage >= 100) return null;
+
+  const since = now - lookback;
+  let gained = 0;
+  let start = null;
+  let prev = null;
+
+  (history || []).forEach(entry => {
+    const value = snapshotValue(entry, limit);
+    if (typeof value !== 'number') return;
+
+    if (entry.t >= since && prev) {
+      if (value < prev.value) {
+        // The limit reset: only what came after counts
+        gained = 0;
+        start = entry.t;
+      } else {
+        gained += value - prev.value;
+        if (start === null) start = prev.t;
+      }
+    }
+    prev = { t: entry.t, value };
+  });
+
+  if (start === null || now - start < MIN_SPAN_MS[limit.kind]) return null;
+
+  const ratePerMs = gained / (now - start);
+  const hitAt = ratePerMs > 0 ? now + (100 - limit.percentage) / ratePerMs : null;
+  const willHit = hitAt !== null && hitAt < limit.resetTimestamp;
+
+  return {
+    key: limit.key,
+    ratePerHour: ratePerMs * HOUR_MS,
+    hitAt,
+    resetAt: limit.resetTimestamp,
+    willHit,
+    marginMs: willHit ? limit.resetTimestamp - hitAt : null,
+    projectedAtReset: limit.percentage + ratePerMs * (limit.resetTimestamp - now)
+  };
+}
+
+/**
+ * Forecasts for the session, weekly and every model limit
+ * @returns {Object<string, Object>} Limit key → forecast (unforecastable limits left out)
+ */
+export function forecastLimits(history, usageData, now = Date.now()) {
+  const forecasts = {};
+  listLimits(usageData)
+    .filter(limit => LOOKBACK_MS[limit.kind])
+    .forEach(limit => {
+      const forecast = forecastLimit(history, limit, now);
+      if (forecast) forecasts[limit.key] = forecast;
+    });
+  return forecasts;
+}
+
+/**
+ * Start of the history needed for a forecast: the longest lookback, plus
+ * an hour for the snapshot just before it
+ */
+export function forecastHistoryStart(now = Date.now()) {
+  return now - Math.max(...Object.values(LOOKBACK_MS)) - HOUR_MS;
+}
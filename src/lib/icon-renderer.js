@@ -5,6 +5,8 @@
  * Features dual concentric progress rings:
  * - Outer ring: 5-hour session limit
  * - Inner ring: 7-day weekly limit
+ * A progress of null means the limit could not be read; its ring is drawn
+ * as a dashed grey track instead of an empty one.
  */
 
 import { ICON_SIZES, COLORS } from './constants.js';
@@ -53,12 +55,27 @@ function hexToRgb(hex) {
   return { r: 0, g: 0, b: 0 };
 }
 
+/**
+ * Dashed grey track for a limit that could not be read
+ */
+function drawUnknownRing(ctx, centerX, centerY, radius, lineWidth) {
+  const dash = (2 * Math.PI * radius) / 16;
+  ctx.strokeStyle = COLORS.unknown;
+  ctx.lineWidth = lineWidth;
+  ctx.lineCap = 'butt';
+  ctx.setLineDash([dash, dash]);
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
+  ctx.stroke();
+  ctx.setLineDash([]);
+}
+
 /**
  * Draw dual concentric progress rings
  *
  * @param {number} size - Canvas size in pixels
- * @param {number} sessionProgress - 5-hour limit progress (0-1)
- * @param {number} weeklyProgress - 7-day limit progress (0-1)
+ * @param {number|null} sessionProgress - 5-hour limit progress (0-1), null if unknown
+ * @param {number|null} weeklyProgress - 7-day limit progress (0-1), null if unknown
  * @param {object} options - Animation options
  */
 export function drawDualProgressRing(size, sessionProgress, weeklyProgress, options) {
@@ -122,7 +139,9 @@ export function drawDualProgressRing(size, sessionProgress, weeklyProgress, opti
     ctx.stroke();
 
     // Progress arc
-    if (sessionProgress > 0) {
+    if (sessionProgress === null) {
+      drawUnknownRing(ctx, centerX, centerY, outerRadius, outerLineWidth);
+    } else if (sessionProgress > 0) {
       const color = getProgressColor(sessionProgress);
       const rgb = hexToRgb(color);
 
@@ -167,7 +186,9 @@ export function drawDualProgressRing(size, sessionProgress, weeklyProgress, opti
     ctx.stroke();
 
     // Progress arc
-    if (weeklyProgress > 0) {
+    if (weeklyProgress === null) {
+      drawUnknownRing(ctx, centerX, centerY, innerRadius, innerLineWidth);
+    } else if (weeklyProgress > 0) {
       const color = getProgressColor(weeklyProgress);
 
       ctx.strokeStyle = color;
@@ -201,7 +222,7 @@ export function generateIconData(sessionProgress, weeklyProgress, options) {
   const result = {};
 
   for (const size of ICON_SIZES) {
-    result[size] = drawDualProgressRing(size, sessionProgress, weeklyProgress || 0, options || {});
+    result[size] = drawDualProgressRing(size, sessionProgress, weeklyProgress, options || {});
   }
 
   return result;
@@ -212,14 +233,14 @@ export function generateIconData(sessionProgress, weeklyProgress, options) {
  */
 export async function updateIcon(sessionProgress, weeklyProgress, options) {
   // Handle legacy single-value calls
-  if (typeof weeklyProgress === 'object') {
+  if (weeklyProgress !== null && typeof weeklyProgress === 'object') {
     options = weeklyProgress;
     weeklyProgress = 0;
   }
 
   return new Promise((resolve, reject) => {
     try {
-      const imageData = generateIconData(sessionProgress, weeklyProgress || 0, options);
+      const imageData = generateIconData(sessionProgress, weeklyProgress, options);
 
       chrome.action.setIcon({ imageData: imageData }, function() {
         if (chrome.runtime.lastError) {
@@ -260,8 +281,8 @@ export function startAnimation(type, sessionProgress, weeklyProgress) {
 
   animationType = type || 'pulse';
   currentProgress = {
-    session: sessionProgress || 0,
-    weekly: weeklyProgress || 0
+    session: sessionProgress,
+    weekly: weeklyProgress
   };
   animationPhase = 0;
 
@@ -282,8 +303,8 @@ export async function stopAnimation(sessionProgress, weeklyProgress) {
 
   if (sessionProgress !== undefined) {
     currentProgress.session = sessionProgress;
-    currentProgress.weekly = weeklyProgress || 0;
-    await updateIcon(sessionProgress, weeklyProgress || 0, { glowIntensity: 0 });
+    currentProgress.weekly = weeklyProgress;
+    await updateIcon(sessionProgress, weeklyProgress, { glowIntensity: 0 });
   }
 
   console.log('[ClaudeKarma] Icon animation stopped');
@@ -301,7 +322,7 @@ export function isAnimating() {
  */
 export function setAnimationProgress(sessionProgress, weeklyProgress) {
   currentProgress.session = sessionProgress;
-  currentProgress.weekly = weeklyProgress || 0;
+  currentProgress.weekly = weeklyProgress;
 }
 
 /**
@@ -0,0 +1,59 @@
+/**
+ * ClaudeKarma - Usage Limits
+ *
+ * Flattens usageData into a list of individual limits with stable keys,
+ * shared by reset alarms, notification settings and the popup:
+ * - 'session'           5-hour session
+ * - 'weekly'            7-day, all models
+ * - 'model:<codename>'  7-day, one model (e.g. 'model:opus')
+ * - 'routines'          daily Claude Code routines budget (reset is computed)
+ */
+
+/**
+ * @param {Object} usageData - Parsed usage data
+ * @returns {Array<{ key: string, kind: string, label: string, percentage: number, resetTimestamp: number|null }>}
+ */
+export function listLimits(usageData) {
+  if (!usageData) return [];
+
+  const limits = [
+    {
+      key: 'session',
+      kind: 'session',
+      label: '5-hour session',
+      percentage: usageData.currentSession?.percentage || 0,
+      resetTimestamp: usageData.currentSession?.resetTimestamp || null
+    },
+    {
+      key: 'weekly',
+      kind: 'weekly',
+      label: 'Weekly (all models)',
+      percentage: usageData.weeklyLimits?.allModels?.percentage || 0,
+      resetTimestamp: usageData.weeklyLimits?.allModels?.resetTimestamp || null
+    }
+  ];
+
+  (usageData.weeklyLimits?.models || []).forEach(model => {
+    if (!model.codename) return;
+    limits.push({
+      key: 'model:' + model.codename,
+      kind: 'model',
+      label: model.name,
+      percentage: model.percentage || 0,
+      resetTimestamp: model.resetTimestamp || null
+    });
+  });
+
+  const routines = usageData.routines;
+  if (routines && routines.limit > 0) {
+    limits.push({
+      key: 'routines',
+      kind: 'routines',
+      label: 'Daily routines',
+      percentage: Math.min(100, (routines.used / routines.limit) * 100),
+      resetTimestamp: routines.resetTimestamp || null
+    });
+  }
+
+  return limits;
+}
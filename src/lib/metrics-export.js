@@ -0,0 +1,251 @@
+/**
+ * ClaudeKarma - Metrics Export
+ *
+ * Turns usage snapshots into points for a self-hosted time-series database,
+ * configured in settings.metricsExport: { format, url, headers }.
+ * An empty URL turns the export off.
+ *
+ * - 'influx': InfluxDB line protocol, POSTed as-is to a write endpoint
+ *   (v1 /write?db=… or v2 /api/v2/write?org=…&bucket=…) with precision=ms
+ * - 'pushgateway': Prometheus text format, one group per organization
+ *   under /metrics/job/claudekarma/org/<orgId>. The Pushgateway keeps only
+ *   the latest value of each series, so a backlog collapses to its newest point.
+ */
+
+import { TIMING } from './constants.js';
+import { isLimitDegraded } from './usage-schema.js';
+
+export const METRICS_FORMATS = {
+  INFLUX: 'influx',
+  PUSHGATEWAY: 'pushgateway'
+};
+
+export const METRICS_FORMAT_LABELS = {
+  influx: 'InfluxDB line protocol',
+  pushgateway: 'Prometheus Pushgateway'
+};
+
+const PUSHGATEWAY_JOB = 'claudekarma';
+
+/**
+ * Points for one snapshot: a 'claudekarma' point with the account-wide
+ * values and a 'claudekarma_model' point per model limit.
+ *
+ * @param {Object} usageData - Parsed usage data the snapshot was taken from
+ * @param {{ t: number, orgId: string|null, planTier: string|null }} context
+ * @returns {Array<{ measurement: string, tags: Object, fields: Object, t: number }>}
+ */
+export function buildMetricPoints(usageData, { t, orgId, planTier }) {
+  const tags = {};
+  if (orgId) tags.org = orgId;
+  if (planTier) tags.plan = planTier.replace(/^default_claude_/, '');
+
+  // A limit the response didn't carry reliably is left out, not sent as 0
+  const issues = usageData.schemaIssues;
+  const fields = {};
+  if (!isLimitDegraded(issues, 'session')) {
+    fields.session_percent = usageData.currentSession?.percentage || 0;
+  }
+  if (!isLimitDegraded(issues, 'weekly')) {
+    fields.weekly_percent = usageData.weeklyLimits?.allModels?.percentage || 0;
+  }
+
+  const routines = usageData.routines;
+  if (routines?.limit > 0) {
+    fields.routines_used = routines.used;
+    fields.routines_limit = routines.limit;
+  }
+
+  const extra = usageData.extraUsage?.enabled ? usageData.extraUsage : null;
+  if (extra) {
+    if (extra.percentage !== null) fields.extra_usage_percent = extra.percentage;
+    fields.extra_usage_credits = extra.usedCredits;
+  }
+
+  const points = Object.keys(fields).length > 0
+    ? [{ measurement: 'claudekarma', tags, fields, t }]
+    : [];
+
+  (usageData.weeklyLimits?.models || []).forEach(model => {
+    if (!model.codename || isLimitDegraded(issues, 'model:' + model.codename)) return;
+    points.push({
+      measurement: 'claudekarma_model',
+      tags: { ...tags, model: model.codename },
+      fields: { weekly_percent: model.percentage || 0 },
+      t
+    });
+  });
+
+  return points;
+}
+
+// ============================================
+// InfluxDB
+// ============================================
+
+const escapeMeasurement = value => String(value).replace(/[, ]/g, '\\$&');
+const escapeTag = value => String(value).replace(/[,= ]/g, '\\$&');
+
+/**
+ * One line per point. Fields are written as floats so a value that
+ * happens to be whole never conflicts with the field's type.
+ */
+export function formatInfluxLines(points) {
+  return points.map(point => {
+    const tags = Object.entries(point.tags)
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([key, value]) => `,${escapeTag(key)}=${escapeTag(value)}`)
+      .join('');
+    const fields = Object.entries(point.fields)
+      .filter(([, value]) => typeof value === 'number' && Number.isFinite(value))
+      .map(([key, value]) => `${escapeTag(key)}=${value}`)
+      .join(',');
+    return `${escapeMeasurement(point.measurement)}${tags} ${fields} ${point.t}`;
+  }).join('\n');
+}
+
+/**
+ * Write URL with precision=ms, unless the user set a precision already
+ */
+export function influxWriteUrl(url) {
+  const parsed = new URL(url);
+  if (!parsed.searchParams.has('precision')) {
+    parsed.searchParams.set('precision', 'ms');
+  }
+  return parsed.toString();
+}
+
+// ============================================
+// Prometheus Pushgateway
+// ============================================
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Latest value of each series in Prometheus text format. The org is left
+ * out of the labels: it's part of the grouping key in the URL.
+ */
+export function formatPrometheusText(points) {
+  const series = new Map();
+
+  points.forEach(point => {
+    const labels = Object.entries(point.tags)
+      .filter(([key, value]) => key !== 'org' && value !== null && value !== undefined && value !== '')
+      .map(([key, value]) => `${key}="${escapeLabel(value)}"`)
+      .join(',');
+
+    Object.entries(point.fields).forEach(([field, value]) => {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return;
+      const name = `${point.measurement}_${field}`;
+      series.set(`${name}{${labels}}`, { name, labels, value });
+    });
+  });
+
+  const lines = [];
+  const typed = new Set();
+  // Every sample of a metric must follow its TYPE line
+  [...series.values()]
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+    .forEach(({ name, labels, value }) => {
+      if (!typed.has(name)) {
+        lines.push(`# TYPE ${name} gauge`);
+        typed.add(name);
+      }
+      lines.push(`${name}${labels ? `{${labels}}` : ''} ${value}`);
+    });
+
+  // The Pushgateway rejects a body without a trailing newline
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Group URL for one organization. A URL that already names a job is used
+ * as the base; otherwise the job is 'claudekarma'.
+ */
+export function pushgatewayGroupUrl(url, orgId) {
+  let base = url.replace(/\/+$/, '');
+  if (!/\/metrics\/job\//.test(base)) {
+    base += '/metrics/job/' + PUSHGATEWAY_JOB;
+  }
+  return orgId ? `${base}/org/${encodeURIComponent(orgId)}` : base;
+}
+
+// ============================================
+// Delivery
+// ============================================
+
+/**
+ * Split buffered points into HTTP requests for the configured format.
+ * Each request carries `lastT`, the newest point it covers, so the caller
+ * can drop what was delivered.
+ *
+ * @returns {Array<{ url: string, body: string, contentType: string, lastT: number }>}
+ * @throws {Error} If the URL or format is unusable
+ */
+export function buildMetricsRequests(config, points) {
+  if (points.length === 0) return [];
+
+  if (config.format === METRICS_FORMATS.PUSHGATEWAY) {
+    const byOrg = new Map();
+    points.forEach(point => {
+      const orgId = point.tags.org || '';
+      byOrg.set(orgId, [...(byOrg.get(orgId) || []), point]);
+    });
+
+    // Only the newest snapshot matters; older ones could carry a stale plan label
+    return [...byOrg.entries()].map(([orgId, orgPoints]) => {
+      const lastT = Math.max(...orgPoints.map(p => p.t));
+      return {
+        url: pushgatewayGroupUrl(config.url, orgId),
+        body: formatPrometheusText(orgPoints.filter(p => p.t === lastT)),
+        contentType: 'text/plain; version=0.0.4',
+        lastT
+      };
+    });
+  }
+
+  if (config.format !== METRICS_FORMATS.INFLUX) {
+    throw new Error('Unknown format: ' + config.format);
+  }
+
+  const url = influxWriteUrl(config.url);
+  const requests = [];
+  for (let i = 0; i < points.length; i += TIMING.METRICS_BATCH_MAX_POINTS) {
+    const batch = points.slice(i, i + TIMING.METRICS_BATCH_MAX_POINTS);
+    requests.push({
+      url,
+      body: formatInfluxLines(batch),
+      contentType: 'text/plain; charset=utf-8',
+      lastT: batch[batch.length - 1].t
+    });
+  }
+  return requests;
+}
+
+/**
+ * POST one request. Never throws.
+ * @returns {Promise<{ ok: boolean, status: number|null, error: string|null }>}
+ */
+export async function sendMetrics(request, headers) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMING.METRICS_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(request.url, {
+      method: 'POST',
+      headers: { 'Content-Type': request.contentType, ...headers },
+      body: request.body,
+      credentials: 'omit',
+      signal: controller.signal
+    });
+    return {
+      ok: response.ok,
+      status: response.status,
+      error: response.ok ? null : 'HTTP ' + response.status
+    };
+  } catch (error) {
+    return { ok: false, status: null, error: error.name === 'AbortError' ? 'Timed out' : error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
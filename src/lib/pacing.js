@@ -0,0 +1,75 @@
+/**
+ * ClaudeKarma - Weekly Pacing
+ *
+ * Compares the 7-day limit with an even spend: a straight line from 0% at
+ * the start of the week to 100% at its reset. Today's allowance spreads
+ * what was left at midnight evenly over the days until the reset, so an
+ * expensive Monday shrinks the rest of the week's share.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * Start of the local day containing `time`
+ */
+function startOfDay(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Weekly usage when the day started: the last snapshot before midnight,
+ * else the first one of the day, else the current value
+ */
+function usageAtDayStart(history, dayStart, weekStart, current) {
+  let before = null;
+  let after = null;
+  (history || []).forEach(entry => {
+    if (typeof entry.w !== 'number' || entry.t < weekStart) return;
+    if (entry.t <= dayStart) before = entry;
+    else if (!after) after = entry;
+  });
+
+  const value = (before || after)?.w ?? current;
+  // Never more than now: rounding in snapshots, or data from before a reset
+  return Math.min(value, current);
+}
+
+/**
+ * Pace of the all-models weekly limit
+ *
+ * @param {Array} history - Usage snapshots, oldest first, covering today
+ * @param {Object} usageData - Parsed usage data
+ * @param {number} [now]
+ * @returns {{ idealPercent: number, aheadBy: number, allowance: number,
+ *   usedToday: number, allowanceLeft: number, exceeded: boolean, dayStart: number }|null}
+ *   aheadBy > 0: used more than an even pace; null without a reset time
+ */
+export function computeWeeklyPace(history, usageData, now = Date.now()) {
+  const weekly = usageData?.weeklyLimits?.allModels;
+  if (!weekly?.resetTimestamp || weekly.resetTimestamp <= now) return null;
+
+  const current = weekly.percentage || 0;
+  const weekStart = weekly.resetTimestamp - WEEK_MS;
+  const idealPercent = Math.min(100, Math.max(0, ((now - weekStart) / WEEK_MS) * 100));
+
+  // A week that started today counts from its start, at 0%
+  const dayStart = Math.max(startOfDay(now), weekStart);
+  const atDayStart = dayStart === weekStart ? 0 : usageAtDayStart(history, dayStart, weekStart, current);
+  const daysLeft = Math.max(1, (weekly.resetTimestamp - dayStart) / DAY_MS);
+
+  const allowance = Math.max(0, 100 - atDayStart) / daysLeft;
+  const usedToday = Math.max(0, current - atDayStart);
+
+  return {
+    idealPercent,
+    aheadBy: current - idealPercent,
+    allowance,
+    usedToday,
+    allowanceLeft: allowance - usedToday,
+    exceeded: usedToday > allowance,
+    dayStart
+  };
+}
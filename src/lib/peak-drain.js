@@ -0,0 +1,101 @@
+/**
+ * ClaudeKarma - Measured Peak Drain
+ *
+ * How much faster the 5-hour session drains during peak hours, measured
+ * from the user's own usage history instead of the schedule's estimate.
+ *
+ * Only the intervals between snapshots where the session grew count:
+ * idle time says nothing about how fast a message drains the limit, and
+ * off-peak hours include every night. An interval whose two snapshots
+ * fall on different sides of a peak boundary is left out.
+ */
+
+import { PEAK_SCHEDULE, getCurrentPeakState } from './peak-schedule.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Snapshots further apart than the slowest refresh are a gap in the data
+const MAX_INTERVAL_MS = 30 * 60 * 1000;
+
+// Active time needed on each side before a measurement is shown, and for
+// each confidence level above 'low'
+const MIN_ACTIVE_MS = HOUR_MS;
+const CONFIDENCE_ACTIVE_MS = {
+  medium: 3 * HOUR_MS,
+  high: 8 * HOUR_MS
+};
+
+/**
+ * Whether a snapshot was taken during peak hours. Snapshots from before
+ * the `pk` tag are placed with the current schedule.
+ */
+function isPeakSnapshot(entry) {
+  if (typeof entry.pk === 'number') return entry.pk === 1;
+  return getCurrentPeakState(new Date(entry.t)).state === 'peak';
+}
+
+/**
+ * Session drain during peak vs off-peak hours
+ *
+ * @param {Array} history - Usage snapshots, oldest first
+ * @returns {{ multiplier: number, confidence: 'low'|'medium'|'high',
+ *   peakRatePerHour: number, offPeakRatePerHour: number,
+ *   peakActiveMs: number, offPeakActiveMs: number }|null}
+ *   null until both sides have MIN_ACTIVE_MS of active time
+ */
+export function measurePeakDrain(history) {
+  const totals = {
+    peak: { gained: 0, activeMs: 0 },
+    offPeak: { gained: 0, activeMs: 0 }
+  };
+
+  let prev = null;
+  (history || []).forEach(entry => {
+    if (typeof entry.s !== 'number') return;
+    const peak = isPeakSnapshot(entry);
+
+    if (prev && prev.peak === peak) {
+      const elapsed = entry.t - prev.t;
+      const gained = entry.s - prev.s;
+      // A drop is a reset: what was used before it isn't known
+      if (gained > 0 && elapsed > 0 && elapsed <= MAX_INTERVAL_MS) {
+        const side = peak ? totals.peak : totals.offPeak;
+        side.gained += gained;
+        side.activeMs += elapsed;
+      }
+    }
+    prev = { t: entry.t, s: entry.s, peak };
+  });
+
+  const { peak, offPeak } = totals;
+  if (peak.activeMs < MIN_ACTIVE_MS || offPeak.activeMs < MIN_ACTIVE_MS) return null;
+
+  const peakRatePerHour = peak.gained / (peak.activeMs / HOUR_MS);
+  const offPeakRatePerHour = offPeak.gained / (offPeak.activeMs / HOUR_MS);
+  if (offPeakRatePerHour <= 0) return null;
+
+  const sample = Math.min(peak.activeMs, offPeak.activeMs);
+  const confidence = sample >= CONFIDENCE_ACTIVE_MS.high ? 'high'
+    : sample >= CONFIDENCE_ACTIVE_MS.medium ? 'medium'
+    : 'low';
+
+  return {
+    multiplier: peakRatePerHour / offPeakRatePerHour,
+    confidence,
+    peakRatePerHour,
+    offPeakRatePerHour,
+    peakActiveMs: peak.activeMs,
+    offPeakActiveMs: offPeak.activeMs
+  };
+}
+
+/**
+ * The measured multiplier, or the schedule's estimate without one
+ * @returns {{ multiplier: number, measured: boolean, confidence: string|null }}
+ */
+export function getDrainMultiplier(measurement) {
+  if (measurement) {
+    return { multiplier: measurement.multiplier, measured: true, confidence: measurement.confidence };
+  }
+  return { multiplier: PEAK_SCHEDULE.impact.estimated_drain_multiplier, measured: false, confidence: null };
+}
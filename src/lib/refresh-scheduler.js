@@ -0,0 +1,117 @@
+/**
+ * ClaudeKarma - Adaptive Refresh Scheduler
+ *
+ * Picks the delay until the next usage fetch from the user's base
+ * refresh interval and the current context:
+ * - Faster when usage is climbing, already high, or a reset is imminent
+ * - Slower when usage is flat, the machine is idle/locked, or offline
+ * - Never slower than the base interval while a claude.ai tab is active
+ */
+
+// Bounds (chrome.alarms cannot reliably fire more often than once a minute)
+const MIN_DELAY_MINUTES = 1;
+const MAX_DELAY_MINUTES = 30;
+
+// Trend detection
+const TREND_WINDOW_MS = 30 * 60 * 1000;       // "recent" snapshots
+const FLAT_MS = 60 * 60 * 1000;               // no movement for 1h → slow down
+const LONG_FLAT_MS = 3 * 60 * 60 * 1000;      // no movement for 3h → slow down more
+const HIGH_SESSION_PCT = 80;                  // climbing past this → poll as fast as possible
+const IMMINENT_RESET_MS = 10 * 60 * 1000;     // a limit resets within 10 min
+
+/**
+ * Summarize recent movement in the usage history
+ * @param {Array} history - Snapshots { t, sd, wd, ... } in chronological order
+ * @param {number} now - Current timestamp
+ * @returns {{ rising: boolean, flatForMs: number }}
+ */
+export function getUsageTrend(history, now) {
+  if (!history || history.length === 0) {
+    return { rising: false, flatForMs: 0 };
+  }
+
+  const moved = (e) => (e.sd || 0) > 0 || (e.wd || 0) > 0;
+  const rising = history.some(e => e.t >= now - TREND_WINDOW_MS && moved(e));
+
+  const lastMove = [...history].reverse().find(moved);
+  const flatSince = lastMove ? lastMove.t : history[0].t;
+
+  return { rising, flatForMs: Math.max(0, now - flatSince) };
+}
+
+/**
+ * Earliest upcoming reset among the session and weekly limits
+ */
+function getNextResetAt(usageData, now) {
+  const candidates = [
+    usageData?.currentSession?.resetTimestamp,
+    usageData?.weeklyLimits?.allModels?.resetTimestamp,
+    ...(usageData?.weeklyLimits?.models || []).map(m => m.resetTimestamp)
+  ].filter(t => t && t > now);
+
+  return candidates.length > 0 ? Math.min(...candidates) : null;
+}
+
+/**
+ * Decide how long to wait before the next fetch
+ *
+ * @param {Object} context
+ * @param {number} context.baseMinutes - User's configured refresh interval
+ * @param {Array} context.history - Recent usage snapshots (primary org)
+ * @param {Object} context.usageData - Latest usage data
+ * @param {string} context.idleState - 'active' | 'idle' | 'locked' (chrome.idle)
+ * @param {boolean} context.online - navigator.onLine
+ * @param {boolean} context.claudeTabActive - A claude.ai tab is focused
+ * @param {number} [context.now] - Current timestamp
+ * @returns {{ minutes: number, reason: string }}
+ */
+export function computeRefreshDelay(context) {
+  const now = context.now || Date.now();
+  const base = context.baseMinutes;
+  const clamp = (m) => Math.min(MAX_DELAY_MINUTES, Math.max(MIN_DELAY_MINUTES, m));
+
+  if (context.online === false) {
+    return { minutes: MAX_DELAY_MINUTES, reason: 'offline' };
+  }
+  if (context.idleState === 'locked') {
+    return { minutes: MAX_DELAY_MINUTES, reason: 'locked' };
+  }
+
+  const nextResetAt = getNextResetAt(context.usageData, now);
+  if (nextResetAt && nextResetAt - now <= IMMINENT_RESET_MS) {
+    return { minutes: MIN_DELAY_MINUTES, reason: 'reset_imminent' };
+  }
+
+  const trend = getUsageTrend(context.history, now);
+  const sessionPct = context.usageData?.currentSession?.percentage || 0;
+
+  let minutes = base;
+  let reason = 'steady';
+
+  if (trend.rising && sessionPct >= HIGH_SESSION_PCT) {
+    minutes = MIN_DELAY_MINUTES;
+    reason = 'climbing_high';
+  } else if (trend.rising) {
+    minutes = base / 2;
+    reason = 'rising';
+  } else if (trend.flatForMs >= LONG_FLAT_MS) {
+    minutes = base * 4;
+    reason = 'flat_long';
+  } else if (trend.flatForMs >= FLAT_MS) {
+    minutes = base * 2;
+    reason = 'flat';
+  }
+
+  if (context.idleState === 'idle' && !trend.rising && minutes < base * 3) {
+    minutes = base * 3;
+    reason = 'idle';
+  }
+
+  // The user is on claude.ai right now: never lag behind the base interval
+  if (context.claudeTabActive && minutes > base) {
+    minutes = base;
+    reason = 'claude_tab_active';
+  }
+
+  return { minutes: clamp(minutes), reason };
+}
@@ -0,0 +1,255 @@
+/**
+ * ClaudeKarma - Daily Routines Budget
+ *
+ * The run-budget endpoint only returns { used, limit }. The daily reset time
+ * is worked out from history snapshots (r = used, rl = limit): the last time
+ * `used` dropped marks the reset hour, otherwise we assume midnight UTC.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Time of day (ms since midnight UTC) at which the budget last reset, or null
+ * if no reset has been observed in history.
+ */
+function observedResetTimeOfDay(history) {
+  for (let i = history.length - 1; i > 0; i--) {
+    const prev = history[i - 1];
+    const cur = history[i];
+    if (typeof prev.r !== 'number' || typeof cur.r !== 'number') continue;
+    if (cur.r >= prev.r) continue;
+
+    // The reset happened between the two snapshots; budgets reset on the
+    // hour, so take the first full hour in that window when there is one
+    const firstHour = Math.ceil(prev.t / HOUR_MS) * HOUR_MS;
+    const resetAt = firstHour <= cur.t ? firstHour : cur.t;
+    return resetAt % DAY_MS;
+  }
+  return null;
+}
+
+/**
+ * Next daily reset of the routines budget
+ * @param {Array} history - Usage snapshots, oldest first
+ * @param {number} [now]
+ * @returns {{ resetTimestamp: number, estimated: boolean }} estimated = no reset observed yet
+ */
+export function computeRoutinesReset(history, now = Date.now()) {
+  const observed = observedResetTimeOfDay(history || []);
+  const timeOfDay = observed ?? 0;
+
+  let resetTimestamp = Math.floor(now / DAY_MS) * DAY_MS + timeOfDay;
+  if (resetTimestamp <= now) resetTimestamp += DAY_MS;
+
+  return { resetTimestamp, estimated: observed === null };
+}
+
+/**
+ * Highest routines usage per local calendar day, oldest first
+ * @param {Array} history - Usage snapshots
+ * @param {number} days - Number of days ending today
+ * @param {number} [now]
+ * @returns {Array<{ date: Date, used: number|null, limit: number|null, exhausted: boolean }>}
+ */
+export function getDailyRoutinesUsage(history, days, now = Date.now()) {
+  const start = new Date(now);
+  start.setDate(start.getDate() - days + 1);
+  start.setHours(0, 0, 0, 0);
+
+  const result = Array.from({ length: days }, (_, i) => {
+    const date = new Date(start);
+    date.setDate(date.getDate() + i);
+    return { date, used: null, limit: null, exhausted: false };
+  });
+
+  (history || []).forEach(entry => {
+    if (typeof entry.r !== 'number' || !entry.rl) return;
+    // By calendar date: a day is 23 or 25 hours long when the clocks change
+    const midnight = new Date(entry.t).setHours(0, 0, 0, 0);
+    const day = result.find(d => d.date.getTime() === midnight);
+    if (!day) return;
+
+    day.used = Math.max(day.used ?? 0, entry.r);
+    day.limit = Math.max(day.limit ?? 0, entry.rl);
+    day.exhausted = day.used >= day.limit;
+  });
+
+  return result;
+}
+
+// ============================================
+// Scheduled Runs
+// ============================================
+
+const MINUTE_MS = 60 * 1000;
+
+// Upper bound on the span a schedule is walked over (one budget day)
+const MAX_SCAN_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Parse one cron field ("*", "5", "1-5", "*\/15", "1,3,5") into a Set,
+ * or null if it can't be read.
+ */
+function parseCronField(field, min, max) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText ? parseInt(stepText, 10) : 1;
+    if (!step || step < 1) return null;
+
+    let from = min;
+    let to = max;
+    if (range !== '*') {
+      const bounds = range.split('-').map(n => parseInt(n, 10));
+      if (bounds.some(Number.isNaN)) return null;
+      from = bounds[0];
+      to = bounds.length > 1 ? bounds[1] : (stepText ? max : bounds[0]);
+    }
+    if (from < min || to > max || from > to) return null;
+
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+
+  return values;
+}
+
+/**
+ * Parse a standard 5-field cron expression
+ * @returns {Object|null} Field sets, or null if unsupported
+ */
+export function parseCron(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) return null;
+
+  const minute = parseCronField(fields[0], 0, 59);
+  const hour = parseCronField(fields[1], 0, 23);
+  const dayOfMonth = parseCronField(fields[2], 1, 31);
+  const month = parseCronField(fields[3], 1, 12);
+  // 7 is also Sunday
+  const dayOfWeek = parseCronField(fields[4].replace(/\b7\b/g, '0'), 0, 6);
+  if (!minute || !hour || !dayOfMonth || !month || !dayOfWeek) return null;
+
+  return {
+    minute, hour, dayOfMonth, month, dayOfWeek,
+    domRestricted: fields[2] !== '*',
+    dowRestricted: fields[4] !== '*'
+  };
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Wall-clock fields of a timestamp in a time zone (UTC when none given)
+ */
+function zonedFields(timestamp, formatter) {
+  if (!formatter) {
+    const d = new Date(timestamp);
+    return {
+      minute: d.getUTCMinutes(), hour: d.getUTCHours(), day: d.getUTCDate(),
+      month: d.getUTCMonth() + 1, weekday: d.getUTCDay()
+    };
+  }
+
+  const parts = {};
+  formatter.formatToParts(new Date(timestamp)).forEach(p => { parts[p.type] = p.value; });
+  return {
+    minute: parseInt(parts.minute, 10),
+    hour: parseInt(parts.hour, 10) % 24,
+    day: parseInt(parts.day, 10),
+    month: parseInt(parts.month, 10),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+/**
+ * Whether the schedule runs at all in the wall-clock hour of `f`
+ */
+function cronMatchesHour(cron, f) {
+  if (!cron.hour.has(f.hour) || !cron.month.has(f.month)) return false;
+
+  // Cron quirk: with both day fields restricted, either one matching is enough
+  const domMatch = cron.dayOfMonth.has(f.day);
+  const dowMatch = cron.dayOfWeek.has(f.weekday);
+  if (cron.domRestricted && cron.dowRestricted) return domMatch || dowMatch;
+  return domMatch && dowMatch;
+}
+
+/**
+ * Number of runs a cron schedule makes in [start, end)
+ * @param {string} schedule - 5-field cron expression
+ * @param {number} start
+ * @param {number} end
+ * @param {string} [timeZone] - IANA zone the schedule is written in (default UTC)
+ * @returns {number|null} null if the schedule can't be parsed
+ */
+export function countCronRuns(schedule, start, end, timeZone) {
+  const cron = parseCron(schedule);
+  if (!cron) return null;
+
+  let formatter = null;
+  if (timeZone && timeZone !== 'UTC') {
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', weekday: 'short',
+        month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+      });
+    } catch (e) {
+      return null;
+    }
+  }
+
+  let count = 0;
+  let t = Math.ceil(start / MINUTE_MS) * MINUTE_MS;
+  const stop = Math.min(end, t + MAX_SCAN_MS);
+
+  // One time zone lookup per wall-clock hour: inside it only the minute
+  // changes, so the matching minutes can be counted without visiting them
+  while (t < stop) {
+    const f = zonedFields(t, formatter);
+    if (cronMatchesHour(cron, f)) {
+      cron.minute.forEach(minute => {
+        if (minute >= f.minute && t + (minute - f.minute) * MINUTE_MS < stop) count++;
+      });
+    }
+    t += (60 - f.minute) * MINUTE_MS;
+  }
+  return count;
+}
+
+/**
+ * Which enabled routines will run before the budget resets, and whether
+ * those runs fit in what's left of today's budget.
+ *
+ * @param {Array} routineList - Parsed routines (see fetchRoutineList in the service worker)
+ * @param {{ used: number, limit: number, resetTimestamp: number }} budget
+ * @param {number} [now]
+ * @returns {{ upcoming: Array<{ routine: Object, runs: number|null }>, totalRuns: number, remaining: number, fits: boolean, uncertain: boolean }}
+ */
+export function planRoutineRuns(routineList, budget, now = Date.now()) {
+  const end = budget?.resetTimestamp || now + DAY_MS;
+  const remaining = budget?.limit > 0 ? Math.max(0, budget.limit - budget.used) : 0;
+
+  const upcoming = (routineList || [])
+    .filter(routine => routine.enabled)
+    .map(routine => {
+      let runs = countCronRuns(routine.schedule, now, end, routine.timeZone);
+      // Unreadable schedule: fall back to the one run we know about
+      if (runs === null && routine.nextRunAt) {
+        runs = routine.nextRunAt >= now && routine.nextRunAt < end ? 1 : 0;
+      }
+      return { routine, runs };
+    })
+    .sort((a, b) => (a.routine.nextRunAt || Infinity) - (b.routine.nextRunAt || Infinity));
+
+  const totalRuns = upcoming.reduce((sum, u) => sum + (u.runs || 0), 0);
+
+  return {
+    upcoming,
+    totalRuns,
+    remaining,
+    fits: totalRuns <= remaining,
+    uncertain: upcoming.some(u => u.runs === null)
+  };
+}
@@ -0,0 +1,79 @@
+/**
+ * ClaudeKarma - Claude Service Status
+ *
+ * Reads a Statuspage summary feed (/api/v2/summary.json) so fetch failures
+ * can be told apart from Anthropic incidents. The URL is a setting, so a
+ * local stand-in can replace the public page.
+ */
+
+// Component on the status page that our fetches depend on
+const CLAUDE_AI_COMPONENT = /claude\.ai/i;
+
+// Component states that break claude.ai requests (degraded_performance doesn't)
+const OUTAGE_COMPONENT_STATES = ['partial_outage', 'major_outage'];
+
+// Incident impacts serious enough to explain failed requests
+const OUTAGE_IMPACTS = ['major', 'critical'];
+
+const RESOLVED_INCIDENT_STATES = ['resolved', 'postmortem', 'completed'];
+
+function parseTime(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+function parseIncident(raw) {
+  return {
+    id: String(raw.id ?? ''),
+    name: raw.name || 'Incident',
+    status: raw.status || null,
+    impact: raw.impact || 'none',
+    url: raw.shortlink || null,
+    startedAt: parseTime(raw.started_at || raw.created_at),
+    updatedAt: parseTime(raw.updated_at),
+    components: (raw.components || []).map(c => c.name).filter(Boolean)
+  };
+}
+
+/**
+ * Parse a Statuspage summary.json response
+ * @param {Object} data - Raw feed
+ * @returns {{ indicator: string, description: string|null, incidents: Array, claudeAiOutage: boolean }}
+ * @throws {Error} If the payload isn't a Statuspage summary
+ */
+export function parseStatusSummary(data) {
+  if (!data || typeof data.status !== 'object' || !Array.isArray(data.components)) {
+    throw new Error('Not a Statuspage summary');
+  }
+
+  const incidents = (data.incidents || [])
+    .filter(incident => !RESOLVED_INCIDENT_STATES.includes(incident.status))
+    .map(parseIncident);
+
+  const componentDown = data.components.some(c =>
+    CLAUDE_AI_COMPONENT.test(c.name || '') && OUTAGE_COMPONENT_STATES.includes(c.status));
+
+  // Incidents often list no components at first: a site-wide major one counts
+  const incidentDown = incidents.some(incident =>
+    OUTAGE_IMPACTS.includes(incident.impact) &&
+    (incident.components.length === 0 || incident.components.some(name => CLAUDE_AI_COMPONENT.test(name))));
+
+  return {
+    indicator: data.status.indicator || 'none',
+    description: data.status.description || null,
+    incidents,
+    claudeAiOutage: componentDown || incidentDown
+  };
+}
+
+/**
+ * The incident to show first: worst impact, then most recently updated
+ */
+export function getHeadlineIncident(serviceStatus) {
+  const incidents = serviceStatus?.incidents || [];
+  const rank = impact => ['none', 'minor', 'major', 'critical'].indexOf(impact);
+
+  return [...incidents].sort((a, b) =>
+    rank(b.impact) - rank(a.impact) || (b.updatedAt || 0) - (a.updatedAt || 0)
+  )[0] || null;
+}
@@ -0,0 +1,112 @@
+/**
+ * ClaudeKarma - Session Log
+ *
+ * Rebuilds individual 5-hour sessions from successive fetches. A session
+ * ends when its reset time passes, when the API reports a different reset
+ * time, or when the session percentage drops (an early reset). Each fetch
+ * updates the open session; a finished one moves to the log.
+ *
+ * Stored per organization as { open, sessions }:
+ * - open: { start, resetAt, peak, last, lastSeenAt, hitAt } or null
+ * - sessions: [{ start, end, peak, hit, hitAt, timeToExhaustMs }], oldest first
+ */
+
+export const SESSION_WINDOW_MS = 5 * 60 * 60 * 1000;
+
+// The reported reset time wobbles by seconds between fetches
+const RESET_SHIFT_MS = 10 * 60 * 1000;
+
+// A drop smaller than this is rounding, not a reset
+const DROP_POINTS = 2;
+
+/**
+ * Close an open session (also used to show the open one as it stands)
+ * @returns {{ start: number, end: number, peak: number, hit: boolean,
+ *   hitAt: number|null, timeToExhaustMs: number|null }}
+ */
+export function closeSession(open, now) {
+  return {
+    start: open.start,
+    end: Math.min(open.resetAt, now),
+    peak: open.peak,
+    hit: open.hitAt !== null,
+    hitAt: open.hitAt,
+    timeToExhaustMs: open.hitAt !== null ? open.hitAt - open.start : null
+  };
+}
+
+/**
+ * Update the log with one fetch of the session limit
+ *
+ * @param {{ open: Object|null, sessions: Array }} log - Stored log
+ * @param {{ percentage: number, resetTimestamp: number|null }} session - usageData.currentSession
+ * @param {number} now - When the fetch happened
+ * @returns {{ log: { open: Object|null, sessions: Array }, closed: Object|null }}
+ *   closed: the session this fetch ended, if any
+ */
+export function trackSession(log, session, now) {
+  const percentage = Math.round(session?.percentage || 0);
+  const resetAt = session?.resetTimestamp || null;
+  let open = log?.open || null;
+  const sessions = [...(log?.sessions || [])];
+  let closed = null;
+
+  if (open) {
+    const ended = now >= open.resetAt ||
+      (resetAt && Math.abs(resetAt - open.resetAt) > RESET_SHIFT_MS) ||
+      percentage <= open.last - DROP_POINTS;
+
+    if (ended) {
+      closed = closeSession(open, now);
+      sessions.push(closed);
+      open = null;
+    } else {
+      open = {
+        ...open,
+        resetAt: resetAt || open.resetAt,
+        peak: Math.max(open.peak, percentage),
+        last: percentage,
+        lastSeenAt: now,
+        hitAt: open.hitAt ?? (percentage >= 100 ? now : null)
+      };
+    }
+  }
+
+  // Nothing used yet means no session has started
+  if (!open && percentage > 0 && resetAt > now) {
+    const previousEnd = sessions.length > 0 ? sessions[sessions.length - 1].end : 0;
+    open = {
+      start: Math.max(resetAt - SESSION_WINDOW_MS, previousEnd),
+      resetAt,
+      peak: percentage,
+      last: percentage,
+      lastSeenAt: now,
+      hitAt: percentage >= 100 ? now : null
+    };
+  }
+
+  return { log: { open, sessions }, closed };
+}
+
+/**
+ * Drop sessions that ended before the cutoff
+ */
+export function pruneSessions(log, cutoff) {
+  return { ...log, sessions: (log.sessions || []).filter(s => s.end >= cutoff) };
+}
+
+/**
+ * Totals for a list of sessions
+ * @returns {{ count: number, hits: number, avgPeak: number|null, fastestExhaustMs: number|null }}
+ */
+export function summarizeSessions(sessions) {
+  const exhausted = sessions.filter(s => s.timeToExhaustMs !== null).map(s => s.timeToExhaustMs);
+  return {
+    count: sessions.length,
+    hits: sessions.filter(s => s.hit).length,
+    avgPeak: sessions.length > 0
+      ? sessions.reduce((sum, s) => sum + s.peak, 0) / sessions.length
+      : null,
+    fastestExhaustMs: exhausted.length > 0 ? Math.min(...exhausted) : null
+  };
+}
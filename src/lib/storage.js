@@ -6,6 +6,8 @@
  */
 
 import { STORAGE_KEYS, DEFAULT_USAGE_DATA, DEFAULT_SETTINGS, TIMING } from './constants.js';
+import { getCurrentPeakState } from './peak-schedule.js';
+import { isLimitDegraded } from './usage-schema.js';
 
 /**
  * Get data from storage
@@ -102,23 +104,50 @@ export async function setUsageData(usageData) {
 }
 
 /**
- * Get settings
+ * Settings pushed by an administrator (chrome.storage.managed, see
+ * managed_schema.json). Empty when no policy is set or the browser
+ * has no managed storage.
+ * @returns {Promise<Object>}
+ */
+export async function getManagedSettings() {
+  try {
+    return (await chrome.storage.managed.get(null)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Get settings: defaults, then the user's choices, then policy
  * @returns {Promise<Object>} Settings with defaults
  */
 export async function getSettings() {
   const result = await get(STORAGE_KEYS.SETTINGS);
-  return { ...DEFAULT_SETTINGS, ...result[STORAGE_KEYS.SETTINGS] };
+  const local = result[STORAGE_KEYS.SETTINGS] || {};
+  const managed = await getManagedSettings();
+
+  return {
+    ...DEFAULT_SETTINGS,
+    ...local,
+    ...managed,
+    notifications: {
+      ...DEFAULT_SETTINGS.notifications,
+      ...local.notifications,
+      ...managed.notifications
+    }
+  };
 }
 
 /**
- * Save settings
+ * Save settings. Only the user's own values are stored, so lifting a
+ * policy brings back what they had chosen.
  * @param {Object} settings - Settings to save
  * @returns {Promise<void>}
  */
 export async function setSettings(settings) {
-  const current = await getSettings();
+  const result = await get(STORAGE_KEYS.SETTINGS);
   return set({
-    [STORAGE_KEYS.SETTINGS]: { ...current, ...settings }
+    [STORAGE_KEYS.SETTINGS]: { ...result[STORAGE_KEYS.SETTINGS], ...settings }
   });
 }
 
@@ -131,33 +160,173 @@ export async function getLastFetchTime() {
   return usageData.lastFetchedAt || null;
 }
 
+// ============================================
+// Organizations (multi-account)
+// ============================================
+
+/**
+ * Get the list of discovered organizations
+ * @returns {Promise<{list: Array<{id: string, name: string|null}>, discoveredAt: number|null}>}
+ */
+export async function getOrganizations() {
+  const result = await get(STORAGE_KEYS.ORGANIZATIONS);
+  return result[STORAGE_KEYS.ORGANIZATIONS] || { list: [], discoveredAt: null };
+}
+
+/**
+ * Save the list of discovered organizations
+ * @param {Array<{id: string, name: string|null}>} list - Organizations in discovery order
+ * @param {string|null} [accountId] - claude.ai account the list belongs to
+ * @returns {Promise<void>}
+ */
+export async function setOrganizations(list, accountId) {
+  return set({
+    [STORAGE_KEYS.ORGANIZATIONS]: { list, discoveredAt: Date.now(), accountId: accountId || null }
+  });
+}
+
+/**
+ * Get usage data for a single organization
+ * @param {string} orgId - Organization UUID
+ * @returns {Promise<Object>} Usage data with defaults
+ */
+export async function getOrgUsageData(orgId) {
+  const result = await get(STORAGE_KEYS.ORG_USAGE_DATA);
+  const byOrg = result[STORAGE_KEYS.ORG_USAGE_DATA] || {};
+  return byOrg[orgId] || { ...DEFAULT_USAGE_DATA, organizationId: orgId };
+}
+
+/**
+ * Save usage data for a single organization
+ * @param {string} orgId - Organization UUID
+ * @param {Object} usageData - Usage data to save
+ * @returns {Promise<void>}
+ */
+export async function setOrgUsageData(orgId, usageData) {
+  const result = await get(STORAGE_KEYS.ORG_USAGE_DATA);
+  const byOrg = result[STORAGE_KEYS.ORG_USAGE_DATA] || {};
+  byOrg[orgId] = {
+    ...usageData,
+    organizationId: orgId,
+    lastFetchedAt: Date.now()
+  };
+  return set({ [STORAGE_KEYS.ORG_USAGE_DATA]: byOrg });
+}
+
+/**
+ * Drop cached usage data for organizations no longer listed. History,
+ * session logs and plan history are kept: an organization can be missing
+ * from a single listing, and they are cleared on account switch or by
+ * clearing the history instead.
+ * @param {string[]} keepIds - Organization UUIDs to keep
+ * @returns {Promise<void>}
+ */
+export async function pruneOrgData(keepIds) {
+  const result = await get([STORAGE_KEYS.ORG_USAGE_DATA, STORAGE_KEYS.PLAN_TIERS]);
+  const byOrg = result[STORAGE_KEYS.ORG_USAGE_DATA] || {};
+  const tiers = result[STORAGE_KEYS.PLAN_TIERS] || {};
+  const staleIds = [...new Set([...Object.keys(byOrg), ...Object.keys(tiers)])]
+    .filter(id => !keepIds.includes(id));
+  if (staleIds.length === 0) return;
+
+  staleIds.forEach(id => {
+    delete byOrg[id];
+    delete tiers[id];
+  });
+  await set({ [STORAGE_KEYS.ORG_USAGE_DATA]: byOrg, [STORAGE_KEYS.PLAN_TIERS]: tiers });
+}
+
 // ============================================
 // Usage History (rolling 2-week window)
 // ============================================
 
 /**
- * Append a usage snapshot to history with deltas and plan tier
- * Format: { t, s, sd, w, wd, m, md, mn, p }
+ * History is stored under one key per organization ("usageHistory:<uuid>")
+ * so appending a snapshot only rewrites that organization's array.
+ * The bare "usageHistory" key holds pre-multi-org data until migrated.
  */
-export async function appendUsageSnapshot(usageData, planTier) {
-  const s = Math.round(usageData.currentSession?.percentage || 0);
-  const w = Math.round(usageData.weeklyLimits?.allModels?.percentage || 0);
-  const m = Math.round(usageData.weeklyLimits?.modelSpecific?.percentage || 0);
+function historyKey(orgId) {
+  return orgId ? STORAGE_KEYS.USAGE_HISTORY + ':' + orgId : STORAGE_KEYS.USAGE_HISTORY;
+}
 
-  // Get last snapshot to compute deltas
+/**
+ * Move legacy single-account history under the given organization
+ * @param {string} orgId - Organization the legacy history belongs to
+ * @returns {Promise<void>}
+ */
+export async function migrateLegacyHistory(orgId) {
+  if (!orgId) return;
   const result = await get(STORAGE_KEYS.USAGE_HISTORY);
-  const history = result[STORAGE_KEYS.USAGE_HISTORY] || [];
-  const last = history.length > 0 ? history[history.length - 1] : null;
+  const legacy = result[STORAGE_KEYS.USAGE_HISTORY];
+  if (!Array.isArray(legacy)) return;
 
-  // Compute deltas (positive only — a drop means a reset, delta = 0)
-  const sd = last ? Math.max(0, s - last.s) : 0;
-  const wd = last ? Math.max(0, w - last.w) : 0;
-  const md = last ? Math.max(0, m - last.m) : 0;
+  const key = historyKey(orgId);
+  const existing = (await get(key))[key] || [];
+  await set({ [key]: [...legacy, ...existing].sort((a, b) => a.t - b.t) });
+  await remove(STORAGE_KEYS.USAGE_HISTORY);
+}
+
+/**
+ * Append a usage snapshot to history with deltas and plan tier
+ * Format: { t, s, sd, w, wd, m, md, mn, mm, p, x, xc, r, rl, pk }
+ * (mm: every model's weekly %, by codename; pk: 1 if taken during peak hours)
+ * A limit the response didn't carry reliably is null (left out of mm), not 0
+ * @param {Object} usageData - Usage data to snapshot
+ * @param {string|null} planTier - Raw plan tier from rate_limits
+ * @param {string} [orgId] - Organization the snapshot belongs to
+ * @returns {Promise<Object>} The snapshot appended
+ */
+export async function appendUsageSnapshot(usageData, planTier, orgId) {
+  const issues = usageData.schemaIssues;
+  const modelName = usageData.weeklyLimits?.modelSpecific?.modelName || null;
+  const primaryModel = (usageData.weeklyLimits?.models || []).find(model => model.name === modelName);
+
+  const s = isLimitDegraded(issues, 'session') ? null
+    : Math.round(usageData.currentSession?.percentage || 0);
+  const w = isLimitDegraded(issues, 'weekly') ? null
+    : Math.round(usageData.weeklyLimits?.allModels?.percentage || 0);
+  const m = primaryModel && isLimitDegraded(issues, 'model:' + primaryModel.codename) ? null
+    : Math.round(usageData.weeklyLimits?.modelSpecific?.percentage || 0);
+
+  const key = historyKey(orgId);
+  const result = await get(key);
+  const history = result[key] || [];
+
+  // Compute deltas against the last recorded value, skipping unknown ones
+  // (positive only — a drop means a reset, delta = 0)
+  const delta = (value, field) => {
+    if (value === null) return null;
+    const last = history.findLast(entry => typeof entry[field] === 'number');
+    return last ? Math.max(0, value - last[field]) : 0;
+  };
+  const sd = delta(s, 's');
+  const wd = delta(w, 'w');
+  const md = delta(m, 'm');
 
   // Normalize plan tier to short key (e.g. "default_claude_max_20x" → "max_20x")
   const p = planTier ? planTier.replace(/^default_claude_/, '') : null;
 
-  const snapshot = { t: Date.now(), s, sd, w, wd, m, md, mn: usageData.weeklyLimits?.modelSpecific?.modelName || null, p };
+  // Extra usage: % of the monthly overage limit and credits spent (only when enabled)
+  const extra = usageData.extraUsage?.enabled ? usageData.extraUsage : null;
+  const x = extra && extra.percentage !== null ? Math.round(extra.percentage) : null;
+  const xc = extra ? extra.usedCredits : null;
+
+  // Routines budget: runs used and daily limit
+  const r = usageData.routines?.limit > 0 ? usageData.routines.used : null;
+  const rl = r !== null ? usageData.routines.limit : null;
+
+  // Every model limit, for per-model forecasts (m/md only follow the primary one)
+  const models = (usageData.weeklyLimits?.models || [])
+    .filter(model => model.codename && !isLimitDegraded(issues, 'model:' + model.codename));
+  const mm = models.length > 0
+    ? Object.fromEntries(models.map(model => [model.codename, Math.round(model.percentage || 0)]))
+    : null;
+
+  // Peak state as scheduled when the snapshot was taken, for the measured drain multiplier
+  const t = Date.now();
+  const pk = getCurrentPeakState(new Date(t)).state === 'peak' ? 1 : 0;
+
+  const snapshot = { t, s, sd, w, wd, m, md, mn: modelName, mm, p, x, xc, r, rl, pk };
 
   history.push(snapshot);
 
@@ -165,31 +334,86 @@ export async function appendUsageSnapshot(usageData, planTier) {
   const cutoff = Date.now() - (TIMING.HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
   const pruned = history.filter(entry => entry.t >= cutoff);
 
-  await set({ [STORAGE_KEYS.USAGE_HISTORY]: pruned });
+  await set({ [key]: pruned });
+  return snapshot;
 }
 
 /**
  * Get usage history within a date range
  * @param {number} [startDate] - Start timestamp (default: 14 days ago)
  * @param {number} [endDate] - End timestamp (default: now)
+ * @param {string} [orgId] - Organization to read (default: legacy key)
  * @returns {Promise<Array>} Array of usage snapshots
  */
-export async function getUsageHistory(startDate, endDate) {
+export async function getUsageHistory(startDate, endDate, orgId) {
   const start = startDate || (Date.now() - (TIMING.HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000));
   const end = endDate || Date.now();
 
-  const result = await get(STORAGE_KEYS.USAGE_HISTORY);
-  const history = result[STORAGE_KEYS.USAGE_HISTORY] || [];
+  const key = historyKey(orgId);
+  const result = await get(key);
+  const history = result[key] || [];
 
   return history.filter(entry => entry.t >= start && entry.t <= end);
 }
 
 /**
- * Clear all usage history
+ * Clear usage history and session logs for every organization
  * @returns {Promise<void>}
  */
 export async function clearUsageHistory() {
-  return set({ [STORAGE_KEYS.USAGE_HISTORY]: [] });
+  const all = await get(null);
+  const keys = Object.keys(all).filter(k =>
+    k === STORAGE_KEYS.USAGE_HISTORY || k.startsWith(STORAGE_KEYS.USAGE_HISTORY + ':') ||
+    k === STORAGE_KEYS.SESSION_LOG || k.startsWith(STORAGE_KEYS.SESSION_LOG + ':')
+  );
+  return remove(keys);
+}
+
+// ============================================
+// Session Log
+// ============================================
+
+function sessionLogKey(orgId) {
+  return orgId ? STORAGE_KEYS.SESSION_LOG + ':' + orgId : STORAGE_KEYS.SESSION_LOG;
+}
+
+/**
+ * 5-hour sessions reconstructed from fetches (see lib/sessions.js)
+ * @param {string} [orgId] - Organization to read
+ * @returns {Promise<{open: Object|null, sessions: Array}>}
+ */
+export async function getSessionLog(orgId) {
+  const key = sessionLogKey(orgId);
+  const result = await get(key);
+  return result[key] || { open: null, sessions: [] };
+}
+
+export async function setSessionLog(orgId, log) {
+  return set({ [sessionLogKey(orgId)]: log });
+}
+
+/**
+ * Forget everything tied to the signed-in claude.ai account (another
+ * account logged in): usage, organizations, history, plan data, alert
+ * state, undelivered webhooks and metrics, the webhook delivery log and
+ * the primary org. Other settings are kept.
+ */
+export async function clearAccountData() {
+  await clearUsageHistory();
+  await remove([
+    STORAGE_KEYS.USAGE_DATA,
+    STORAGE_KEYS.ORG_USAGE_DATA,
+    STORAGE_KEYS.ORGANIZATIONS,
+    STORAGE_KEYS.NOTIFICATION_STATE,
+    STORAGE_KEYS.FETCH_STATE,
+    STORAGE_KEYS.RESET_WATCH,
+    STORAGE_KEYS.PLAN_TIERS,
+    STORAGE_KEYS.PLAN_HISTORY,
+    STORAGE_KEYS.WEBHOOK_QUEUE,
+    STORAGE_KEYS.WEBHOOK_LOG,
+    STORAGE_KEYS.METRICS_BUFFER
+  ]);
+  await setSettings({ organizationId: null });
 }
 
 // ============================================
@@ -206,6 +430,256 @@ export async function setNotificationState(state) {
   return set({ [STORAGE_KEYS.NOTIFICATION_STATE]: { ...current, ...state } });
 }
 
+// ============================================
+// Plan Tier (cached) and Plan Changes
+// ============================================
+
+/**
+ * Cached plan tier for an organization
+ * @param {string} orgId - Organization UUID
+ * @returns {Promise<{tier: string, fetchedAt: number}|null>}
+ */
+export async function getCachedPlanTier(orgId) {
+  const result = await get(STORAGE_KEYS.PLAN_TIERS);
+  return (result[STORAGE_KEYS.PLAN_TIERS] || {})[orgId] || null;
+}
+
+export async function setCachedPlanTier(orgId, tier) {
+  const result = await get(STORAGE_KEYS.PLAN_TIERS);
+  const tiers = result[STORAGE_KEYS.PLAN_TIERS] || {};
+  tiers[orgId] = { tier, fetchedAt: Date.now() };
+  return set({ [STORAGE_KEYS.PLAN_TIERS]: tiers });
+}
+
+/**
+ * Plan transitions for an organization, oldest first.
+ * Kept beyond the usage history window — there are only a handful.
+ * @param {string} orgId - Organization UUID
+ * @returns {Promise<Array<{t: number, from: string, to: string}>>}
+ */
+export async function getPlanHistory(orgId) {
+  const result = await get(STORAGE_KEYS.PLAN_HISTORY);
+  return (result[STORAGE_KEYS.PLAN_HISTORY] || {})[orgId] || [];
+}
+
+export async function appendPlanChange(orgId, change) {
+  const result = await get(STORAGE_KEYS.PLAN_HISTORY);
+  const history = result[STORAGE_KEYS.PLAN_HISTORY] || {};
+  history[orgId] = [...(history[orgId] || []), change];
+  return set({ [STORAGE_KEYS.PLAN_HISTORY]: history });
+}
+
+// ============================================
+// Fetch State (retry backoff, request transport)
+// ============================================
+
+/**
+ * @returns {Promise<{attempt: number, nextRetryAt: number|null, transport?: 'worker'|'tab', transportSince?: number}>}
+ */
+export async function getFetchState() {
+  const result = await get(STORAGE_KEYS.FETCH_STATE);
+  return result[STORAGE_KEYS.FETCH_STATE] || { attempt: 0, nextRetryAt: null };
+}
+
+export async function setFetchState(state) {
+  const current = await getFetchState();
+  return set({ [STORAGE_KEYS.FETCH_STATE]: { ...current, ...state } });
+}
+
+// ============================================
+// Reset Watch (pending limit-reset alarms)
+// ============================================
+
+/**
+ * Limits with a scheduled reset alarm: { [limitKey]: { label, resetAt, percentage } }
+ */
+export async function getResetWatch() {
+  const result = await get(STORAGE_KEYS.RESET_WATCH);
+  return result[STORAGE_KEYS.RESET_WATCH] || {};
+}
+
+export async function setResetWatch(watch) {
+  return set({ [STORAGE_KEYS.RESET_WATCH]: watch });
+}
+
+// ============================================
+// Schema Report (API response drift)
+// ============================================
+
+/**
+ * { seenKeys: { key: firstSeenAt }, issues: [...], checkedAt }
+ */
+export async function getSchemaReport() {
+  const result = await get(STORAGE_KEYS.SCHEMA_REPORT);
+  return result[STORAGE_KEYS.SCHEMA_REPORT] || { seenKeys: {}, issues: [], checkedAt: null };
+}
+
+export async function setSchemaReport(report) {
+  return set({ [STORAGE_KEYS.SCHEMA_REPORT]: report });
+}
+
+// ============================================
+// Native Bridge
+// ============================================
+
+/**
+ * Connection state of the native messaging host, for the settings panel
+ * @returns {Promise<{connected: boolean, error: string|null, lastAckAt: number|null}>}
+ */
+export async function getNativeBridgeState() {
+  const result = await get(STORAGE_KEYS.NATIVE_BRIDGE);
+  return result[STORAGE_KEYS.NATIVE_BRIDGE] || { connected: false, error: null, lastAckAt: null };
+}
+
+export async function setNativeBridgeState(state) {
+  const current = await getNativeBridgeState();
+  return set({ [STORAGE_KEYS.NATIVE_BRIDGE]: { ...current, ...state } });
+}
+
+/**
+ * Last status page check (see lib/service-status.js)
+ * @returns {Promise<{checkedAt: number|null, indicator: string|null, description: string|null, incidents: Array, claudeAiOutage: boolean, error: string|null}>}
+ */
+export async function getServiceStatus() {
+  const result = await get(STORAGE_KEYS.SERVICE_STATUS);
+  return result[STORAGE_KEYS.SERVICE_STATUS] || {
+    checkedAt: null,
+    indicator: null,
+    description: null,
+    incidents: [],
+    claudeAiOutage: false,
+    error: null,
+    errorMessage: null
+  };
+}
+
+export async function setServiceStatus(status) {
+  return set({ [STORAGE_KEYS.SERVICE_STATUS]: status });
+}
+
+// ============================================
+// Webhooks
+// ============================================
+
+// Deliveries kept in the log shown in settings
+const WEBHOOK_LOG_LIMIT = 50;
+
+/**
+ * Deliveries waiting for a retry
+ * @returns {Promise<Array<{id: string, targetId: string, event: string, body: string, attempt: number, nextAttemptAt: number}>>}
+ */
+export async function getWebhookQueue() {
+  const result = await get(STORAGE_KEYS.WEBHOOK_QUEUE);
+  return result[STORAGE_KEYS.WEBHOOK_QUEUE] || [];
+}
+
+export async function setWebhookQueue(queue) {
+  return set({ [STORAGE_KEYS.WEBHOOK_QUEUE]: queue });
+}
+
+/**
+ * Delivery log, newest first
+ * @returns {Promise<Array<{t: number, targetId: string, url: string, event: string, attempt: number, ok: boolean, status: number|null, error: string|null, willRetry: boolean}>>}
+ */
+export async function getWebhookLog() {
+  const result = await get(STORAGE_KEYS.WEBHOOK_LOG);
+  return result[STORAGE_KEYS.WEBHOOK_LOG] || [];
+}
+
+export async function appendWebhookLog(entry) {
+  const log = await getWebhookLog();
+  return set({ [STORAGE_KEYS.WEBHOOK_LOG]: [entry, ...log].slice(0, WEBHOOK_LOG_LIMIT) });
+}
+
+export async function clearWebhookLog() {
+  return remove(STORAGE_KEYS.WEBHOOK_LOG);
+}
+
+// ============================================
+// Metrics Export
+// ============================================
+
+/**
+ * Points waiting to be pushed (see lib/metrics-export.js), oldest first
+ * @returns {Promise<Array<{measurement: string, tags: Object, fields: Object, t: number}>>}
+ */
+export async function getMetricsBuffer() {
+  const result = await get(STORAGE_KEYS.METRICS_BUFFER);
+  return result[STORAGE_KEYS.METRICS_BUFFER] || [];
+}
+
+/**
+ * Add points, dropping the oldest beyond METRICS_BUFFER_MAX_POINTS
+ */
+export async function appendMetricsBuffer(points) {
+  const buffer = await getMetricsBuffer();
+  return set({
+    [STORAGE_KEYS.METRICS_BUFFER]: [...buffer, ...points].slice(-TIMING.METRICS_BUFFER_MAX_POINTS)
+  });
+}
+
+/**
+ * Drop every point up to and including `t`, once delivered
+ */
+export async function dropMetricsBuffer(t) {
+  const buffer = await getMetricsBuffer();
+  return set({ [STORAGE_KEYS.METRICS_BUFFER]: buffer.filter(point => point.t > t) });
+}
+
+export async function clearMetricsBuffer() {
+  return remove(STORAGE_KEYS.METRICS_BUFFER);
+}
+
+/**
+ * Outcome of the last push, for the settings panel
+ * @returns {Promise<{lastPushAt: number|null, lastError: string|null, failures: number}>}
+ */
+export async function getMetricsExportState() {
+  const result = await get(STORAGE_KEYS.METRICS_EXPORT_STATE);
+  return result[STORAGE_KEYS.METRICS_EXPORT_STATE] || { lastPushAt: null, lastError: null, failures: 0 };
+}
+
+export async function setMetricsExportState(state) {
+  const current = await getMetricsExportState();
+  return set({ [STORAGE_KEYS.METRICS_EXPORT_STATE]: { ...current, ...state } });
+}
+
+// ============================================
+// Claude Code Usage
+// ============================================
+
+/**
+ * Hourly token buckets from Claude Code transcripts (see lib/cli-usage.js)
+ * @returns {Promise<{buckets: Array, scannedAt: number|null, files: number, error: string|null}>}
+ */
+export async function getCliUsage() {
+  const result = await get(STORAGE_KEYS.CLI_USAGE);
+  return result[STORAGE_KEYS.CLI_USAGE] || { buckets: [], scannedAt: null, files: 0, error: null };
+}
+
+/**
+ * Replace every bucket from `since` (an hour boundary) on with a fresh scan
+ */
+export async function mergeCliUsage(since, buckets, files) {
+  const current = await getCliUsage();
+  const cutoff = Date.now() - TIMING.HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+  const kept = current.buckets.filter(b => b.t < since && b.t >= cutoff);
+  return set({
+    [STORAGE_KEYS.CLI_USAGE]: {
+      buckets: [...kept, ...buckets.filter(b => b.t >= cutoff)].sort((a, b) => a.t - b.t),
+      scannedAt: Date.now(),
+      files,
+      error: null
+    }
+  });
+}
+
+export async function setCliUsageError(error) {
+  const current = await getCliUsage();
+  return set({ [STORAGE_KEYS.CLI_USAGE]: { ...current, error } });
+}
+
 // Export storage object for convenience
 export const storage = {
   get,
@@ -215,13 +689,51 @@ export const storage = {
   getUsageData,
   setUsageData,
   getSettings,
+  getManagedSettings,
   setSettings,
   getLastFetchTime,
+  getOrganizations,
+  setOrganizations,
+  getOrgUsageData,
+  setOrgUsageData,
+  pruneOrgData,
+  migrateLegacyHistory,
   appendUsageSnapshot,
   getUsageHistory,
   clearUsageHistory,
+  getSessionLog,
+  setSessionLog,
+  clearAccountData,
   getNotificationState,
-  setNotificationState
+  setNotificationState,
+  getCachedPlanTier,
+  setCachedPlanTier,
+  getPlanHistory,
+  appendPlanChange,
+  getFetchState,
+  setFetchState,
+  getResetWatch,
+  setResetWatch,
+  getSchemaReport,
+  setSchemaReport,
+  getNativeBridgeState,
+  setNativeBridgeState,
+  getServiceStatus,
+  setServiceStatus,
+  getWebhookQueue,
+  setWebhookQueue,
+  getWebhookLog,
+  appendWebhookLog,
+  clearWebhookLog,
+  getMetricsBuffer,
+  appendMetricsBuffer,
+  dropMetricsBuffer,
+  clearMetricsBuffer,
+  getMetricsExportState,
+  setMetricsExportState,
+  getCliUsage,
+  mergeCliUsage,
+  setCliUsageError
 };
 
 export default storage;
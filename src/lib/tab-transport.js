@@ -0,0 +1,90 @@
+/**
+ * ClaudeKarma - Tab Transport
+ *
+ * Runs a claude.ai request inside an open claude.ai tab with
+ * chrome.scripting.executeScript, so it goes out first-party.
+ *
+ * Brave shields and Firefox strict tracking protection can strip cookies
+ * from the service worker's own requests even though the user is logged
+ * in; from the page itself they are sent as usual.
+ */
+
+// Statuses whose Response can't carry a body
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+/**
+ * Injected into the tab: must not reference anything outside itself.
+ * Firefox gives content scripts the extension's principal, so the
+ * request goes through the page's own fetch there.
+ */
+async function fetchFromPage(url, init) {
+  try {
+    const pageWindow = typeof content === 'object' && content?.fetch ? content : window;
+    const requestInit = typeof cloneInto === 'function'
+      ? cloneInto({ ...init, credentials: 'include' }, pageWindow)
+      : { ...init, credentials: 'include' };
+
+    const response = await pageWindow.fetch(url, requestInit);
+    return {
+      status: response.status,
+      retryAfter: response.headers.get('Retry-After'),
+      contentType: response.headers.get('Content-Type'),
+      body: await response.text()
+    };
+  } catch (error) {
+    return { error: String(error?.message || error) };
+  }
+}
+
+/**
+ * A claude.ai tab that can run requests: loaded, not discarded, and not
+ * on the login or logout pages
+ * @returns {Promise<chrome.tabs.Tab|null>}
+ */
+export async function findClaudeTab() {
+  const tabs = await chrome.tabs.query({ url: 'https://claude.ai/*' });
+  return tabs.find(tab =>
+    !tab.discarded &&
+    tab.status === 'complete' &&
+    !/^https:\/\/claude\.ai\/(login|logout)/.test(tab.url || '')
+  ) || null;
+}
+
+/**
+ * fetch() through a tab
+ * @param {number} tabId - claude.ai tab to run in
+ * @param {string} url - Request URL
+ * @param {RequestInit} init - method, headers and body are passed on
+ * @returns {Promise<Response>}
+ * @throws {TypeError} When the script can't run or the request fails, like fetch()
+ */
+export async function fetchViaTab(tabId, url, init) {
+  let result;
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: fetchFromPage,
+      args: [url, {
+        method: init?.method || 'GET',
+        headers: init?.headers || {},
+        body: init?.body ?? null,
+        cache: 'no-store'
+      }]
+    });
+    result = injection?.result;
+  } catch (error) {
+    throw new TypeError('Tab fetch failed: ' + error.message);
+  }
+
+  if (!result) throw new TypeError('Tab fetch failed: no result');
+  if (result.error) throw new TypeError(result.error);
+
+  const headers = {};
+  if (result.retryAfter) headers['Retry-After'] = result.retryAfter;
+  if (result.contentType) headers['Content-Type'] = result.contentType;
+
+  return new Response(NULL_BODY_STATUSES.includes(result.status) ? null : result.body, {
+    status: result.status,
+    headers
+  });
+}
@@ -0,0 +1,118 @@
+/**
+ * ClaudeKarma - Usage Response Validation
+ *
+ * Checks /usage payloads against the shape parseOrgUsageResponse() expects,
+ * so a change on Anthropic's side shows up as "degraded" data and a popup
+ * warning instead of confident zeros.
+ *
+ * Issue types:
+ * - missing_field     five_hour / seven_day absent (degrades)
+ * - invalid_field     a limit without numeric utilization or a valid resets_at (degrades)
+ * - unknown_codename  seven_day_<codename> not in MODEL_DISPLAY_NAMES
+ * - unknown_key       an unrecognised top-level key shaped like a limit
+ */
+
+// Top-level limits we cannot do without, mapped to lib/limits.js keys
+const REQUIRED_LIMITS = {
+  five_hour: 'session',
+  seven_day: 'weekly'
+};
+
+const MODEL_PREFIX = 'seven_day_';
+const DEGRADING_ISSUES = ['missing_field', 'invalid_field'];
+
+/**
+ * @returns {string|null} What is wrong with a limit object, or null if fine
+ */
+function checkLimitShape(value) {
+  // null means "this limit doesn't apply to you", which is valid
+  if (value === null) return null;
+  if (typeof value !== 'object') return 'not an object';
+  if (typeof value.utilization !== 'number') {
+    return 'utilization is ' + (value.utilization === undefined ? 'missing' : typeof value.utilization);
+  }
+  if (value.resets_at != null && Number.isNaN(Date.parse(value.resets_at))) {
+    return 'resets_at is not a date';
+  }
+  return null;
+}
+
+function looksLikeLimit(value) {
+  return !!value && typeof value === 'object' && ('utilization' in value || 'resets_at' in value);
+}
+
+/**
+ * Validate a raw /usage response
+ *
+ * @param {Object} data - Raw API response
+ * @param {Object} options
+ * @param {string[]} options.knownCodenames - Codenames with a display mapping
+ * @param {Object} [options.seenKeys] - { key: firstSeenAt } from earlier responses
+ * @param {string[]} [options.handledKeys] - Other top-level keys the parser reads
+ * @returns {{ degraded: boolean, issues: Array<{type: string, key: string, limitKey: string|null, detail: string}>, keys: string[], newKeys: string[] }}
+ */
+export function validateUsageResponse(data, options) {
+  const knownCodenames = options.knownCodenames || [];
+  const handledKeys = options.handledKeys || [];
+  const seenKeys = options.seenKeys || {};
+
+  const issues = [];
+  const keys = Object.keys(data);
+  const hasBaseline = Object.keys(seenKeys).length > 0;
+  const newKeys = hasBaseline ? keys.filter(k => !(k in seenKeys)) : [];
+
+  for (const [key, limitKey] of Object.entries(REQUIRED_LIMITS)) {
+    if (!(key in data)) {
+      // A new limit-shaped key appearing at the same time is likely the rename
+      const candidates = newKeys.filter(k => looksLikeLimit(data[k]));
+      issues.push({
+        type: 'missing_field',
+        key,
+        limitKey,
+        detail: candidates.length > 0 ? 'possibly renamed to ' + candidates.join(', ') : 'not in response'
+      });
+      continue;
+    }
+
+    const problem = checkLimitShape(data[key]);
+    if (problem) {
+      issues.push({ type: 'invalid_field', key, limitKey, detail: problem });
+    }
+  }
+
+  keys.filter(k => k.startsWith(MODEL_PREFIX) && data[k] != null).forEach(key => {
+    const codename = key.slice(MODEL_PREFIX.length);
+    const limitKey = 'model:' + codename;
+
+    const problem = checkLimitShape(data[key]);
+    if (problem) {
+      issues.push({ type: 'invalid_field', key, limitKey, detail: problem });
+    }
+    if (!knownCodenames.includes(codename)) {
+      issues.push({ type: 'unknown_codename', key, limitKey, detail: codename });
+    }
+  });
+
+  keys
+    .filter(k => !(k in REQUIRED_LIMITS) && !k.startsWith(MODEL_PREFIX) && !handledKeys.includes(k))
+    .filter(k => looksLikeLimit(data[k]))
+    .forEach(key => {
+      issues.push({ type: 'unknown_key', key, limitKey: null, detail: 'unrecognised limit-like key' });
+    });
+
+  return {
+    degraded: issues.some(i => DEGRADING_ISSUES.includes(i.type)),
+    issues,
+    keys,
+    newKeys
+  };
+}
+
+/**
+ * True if this limit (lib/limits.js key) could not be read reliably
+ * @param {Array} issues - usageData.schemaIssues
+ * @param {string} limitKey - e.g. 'session', 'model:opus'
+ */
+export function isLimitDegraded(issues, limitKey) {
+  return (issues || []).some(i => i.limitKey === limitKey && DEGRADING_ISSUES.includes(i.type));
+}
@@ -0,0 +1,143 @@
+/**
+ * ClaudeKarma - Outbound Webhooks
+ *
+ * Targets live in settings.webhooks:
+ *   { id, url, headers: { name: value }, template, events: [...], enabled }
+ *
+ * The template is a JSON document with {{placeholders}} (see WEBHOOK_FIELDS);
+ * values are JSON-escaped, so they belong inside quotes except for numbers.
+ * An empty template sends the whole event as JSON.
+ */
+
+import { TIMING } from './constants.js';
+
+export const WEBHOOK_EVENTS = {
+  THRESHOLD: 'threshold',
+  RESET: 'reset',
+  PEAK_START: 'peak_start',
+  PEAK_END: 'peak_end',
+  FETCH_BROKEN: 'fetch_broken',
+  TEST: 'test' // "Send test" in settings only, never subscribed to
+};
+
+export const WEBHOOK_EVENT_LABELS = {
+  threshold: 'Threshold crossed',
+  reset: 'Limit reset',
+  peak_start: 'Peak starts',
+  peak_end: 'Peak ends',
+  fetch_broken: 'Fetching broke'
+};
+
+// Placeholders available in templates
+export const WEBHOOK_FIELDS = [
+  'event', 'title', 'message', 'timestamp', 'org', 'orgId',
+  'session', 'weekly', 'limit', 'percentage', 'threshold', 'state'
+];
+
+// Works as-is with Slack, Mattermost and Rocket.Chat incoming webhooks
+export const DEFAULT_WEBHOOK_TEMPLATE = '{"text": "{{title}}: {{message}}"}';
+
+/**
+ * A new, empty target subscribed to every event
+ */
+export function createWebhookTarget() {
+  return {
+    id: 'wh_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    url: '',
+    headers: {},
+    template: DEFAULT_WEBHOOK_TEMPLATE,
+    events: Object.keys(WEBHOOK_EVENT_LABELS),
+    enabled: true
+  };
+}
+
+/**
+ * Fill a template with event fields
+ * @param {string} template - JSON with {{placeholders}}, or empty for the raw event
+ * @param {Object} fields - Values by placeholder name
+ * @returns {string} Request body
+ * @throws {Error} If the result isn't valid JSON
+ */
+export function renderWebhookBody(template, fields) {
+  if (!template || !template.trim()) {
+    return JSON.stringify(fields);
+  }
+
+  const body = template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => {
+    const value = fields[name];
+    if (value === undefined || value === null) return '';
+    // Escape for use inside a JSON string; numbers come out bare
+    return JSON.stringify(value).replace(/^"|"$/g, '');
+  });
+
+  try {
+    JSON.parse(body);
+  } catch (error) {
+    throw new Error('Template is not valid JSON: ' + error.message);
+  }
+  return body;
+}
+
+/**
+ * "Name: value" lines → headers object (blank and malformed lines skipped)
+ */
+export function parseHeaderLines(text) {
+  const headers = {};
+  String(text || '').split('\n').forEach(line => {
+    const index = line.indexOf(':');
+    if (index <= 0) return;
+    const name = line.slice(0, index).trim();
+    const value = line.slice(index + 1).trim();
+    if (name) headers[name] = value;
+  });
+  return headers;
+}
+
+export function formatHeaderLines(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+}
+
+/**
+ * Origin permission pattern for a target URL, or null if the URL is unusable
+ */
+export function webhookOriginPattern(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+    return parsed.origin + '/*';
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * POST one body to a target. Never throws.
+ * @returns {Promise<{ ok: boolean, status: number|null, error: string|null, retryable: boolean }>}
+ */
+export async function sendWebhook(target, body) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMING.WEBHOOK_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(target.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...target.headers },
+      body,
+      credentials: 'omit',
+      signal: controller.signal
+    });
+
+    const retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+    return {
+      ok: response.ok,
+      status: response.status,
+      error: response.ok ? null : 'HTTP ' + response.status,
+      retryable: !response.ok && retryable
+    };
+  } catch (error) {
+    const message = error.name === 'AbortError' ? 'Timed out' : error.message;
+    return { ok: false, status: null, error: message, retryable: true };
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -6,12 +6,37 @@
  */
 
 import { getCurrentPeakState } from '../lib/peak-schedule.js';
+import {
+  getUsageHistory, clearUsageHistory, getPlanHistory, getSettings, getManagedSettings, getWebhookLog,
+  getCliUsage, getMetricsBuffer, getMetricsExportState, getSessionLog
+} from '../lib/storage.js';
+import { PLAN_DISPLAY_NAMES, DEFAULT_SETTINGS, STORAGE_KEYS, TIMING, formatPlanTier } from '../lib/constants.js';
+import { listLimits } from '../lib/limits.js';
+import { getDailyRoutinesUsage, planRoutineRuns } from '../lib/routines.js';
+import { isLimitDegraded } from '../lib/usage-schema.js';
+import { getHeadlineIncident } from '../lib/service-status.js';
+import { METRICS_FORMATS } from '../lib/metrics-export.js';
+import { forecastLimits, forecastHistoryStart } from '../lib/forecast.js';
+import { computeWeeklyPace } from '../lib/pacing.js';
+import { measurePeakDrain, getDrainMultiplier } from '../lib/peak-drain.js';
+import { SESSION_WINDOW_MS, closeSession, summarizeSessions } from '../lib/sessions.js';
+import {
+  summarizeCliUsage, getCliHours, attributeUsageToCli, formatTokenCount, formatCliModel
+} from '../lib/cli-usage.js';
+import {
+  WEBHOOK_EVENT_LABELS, DEFAULT_WEBHOOK_TEMPLATE, createWebhookTarget,
+  parseHeaderLines, formatHeaderLines, webhookOriginPattern
+} from '../lib/webhooks.js';
 
 // Message types
 const MESSAGE_TYPES = {
   GET_USAGE_DATA: 'getUsageData',
   REQUEST_REFRESH: 'requestRefresh',
-  USAGE_DATA_UPDATED: 'usageDataUpdated'
+  USAGE_DATA_UPDATED: 'usageDataUpdated',
+  SET_PRIMARY_ORG: 'setPrimaryOrg',
+  TEST_WEBHOOK: 'testWebhook',
+  FLUSH_METRICS: 'flushMetrics',
+  CHECK_SERVICE_STATUS: 'checkServiceStatus'
 };
 
 // Quick tips for random display
@@ -73,6 +98,10 @@ const QUICK_TIPS = [
 
 // Gauge configuration
 const GAUGE_CIRCUMFERENCE = 327; // 2 * PI * 52 (radius)
+const ELAPSED_CIRCUMFERENCE = 276; // 2 * PI * 44 (inner ring)
+
+// Usage this many points ahead of the time elapsed tints the inner ring
+const SESSION_AHEAD_MARGIN = 10;
 
 // Color configurations for different usage levels
 const STATUS_COLORS = {
@@ -107,7 +136,29 @@ const elements = {
   threshold75: document.getElementById('threshold-75'),
   threshold90: document.getElementById('threshold-90'),
   threshold100: document.getElementById('threshold-100'),
+  settingForecastAlerts: document.getElementById('setting-forecast-alerts'),
+  settingPaceAlerts: document.getElementById('setting-pace-alerts'),
+  forecastAlertOptions: document.getElementById('forecast-alert-options'),
+  routineThresholdOptions: document.getElementById('routine-threshold-options'),
+  settingExternalAllowlist: document.getElementById('setting-external-allowlist'),
+  settingNativeBridge: document.getElementById('setting-native-bridge'),
+  settingStatusPageUrl: document.getElementById('setting-status-page-url'),
+  statusPageCheckBtn: document.getElementById('status-page-check-btn'),
+  statusPageStatus: document.getElementById('status-page-status'),
+  webhookList: document.getElementById('webhook-list'),
+  webhookAddBtn: document.getElementById('webhook-add-btn'),
+  webhookLog: document.getElementById('webhook-log'),
+  settingMetricsFormat: document.getElementById('setting-metrics-format'),
+  settingMetricsUrl: document.getElementById('setting-metrics-url'),
+  settingMetricsHeaders: document.getElementById('setting-metrics-headers'),
+  metricsPushBtn: document.getElementById('metrics-push-btn'),
+  metricsExportStatus: document.getElementById('metrics-export-status'),
+  nativeBridgeStatus: document.getElementById('native-bridge-status'),
+  settingClaudeCodeLogs: document.getElementById('setting-claude-code-logs'),
+  claudeCodeLogsStatus: document.getElementById('claude-code-logs-status'),
+  resetAlertOptions: document.getElementById('reset-alert-options'),
   settingRefreshInterval: document.getElementById('setting-refresh-interval'),
+  settingAdaptiveRefresh: document.getElementById('setting-adaptive-refresh'),
   clearHistoryBtn: document.getElementById('clear-history-btn'),
   resetSetupBtn: document.getElementById('reset-setup-btn'),
   settingsVersion: document.getElementById('settings-version'),
@@ -118,32 +169,85 @@ const elements = {
 
   // Gauge
   gaugeProgress: document.getElementById('gauge-progress'),
+  gaugeForecast: document.getElementById('gauge-forecast'),
+  gaugeElapsed: document.getElementById('gauge-elapsed'),
+  gaugeContainer: document.getElementById('gauge-container'),
   gaugeStop1: document.getElementById('gauge-stop-1'),
   gaugeStop2: document.getElementById('gauge-stop-2'),
   sessionPercentage: document.getElementById('session-percentage'),
   sessionReset: document.getElementById('session-reset'),
+  sessionForecast: document.getElementById('session-forecast'),
 
   // Weekly Stats (v1.2)
   barsList: document.getElementById('bars-list'),
   weeklyReset: document.getElementById('weekly-reset'),
 
+  // Extra usage (paid overage)
+  extraUsageCard: document.getElementById('extra-usage-card'),
+  extraUsageReset: document.getElementById('extra-usage-reset'),
+  extraUsageBody: document.getElementById('extra-usage-body'),
+  claudeCodeCard: document.getElementById('claude-code-card'),
+  claudeCodeTokens: document.getElementById('claude-code-tokens'),
+  claudeCodeBody: document.getElementById('claude-code-body'),
+
+  // Upcoming routines
+  routinesUpcoming: document.getElementById('routines-upcoming'),
+  routinesUpcomingToggle: document.getElementById('routines-upcoming-toggle'),
+  routinesUpcomingSummary: document.getElementById('routines-upcoming-summary'),
+  routinesUpcomingList: document.getElementById('routines-upcoming-list'),
+
   // Plan badge
   planBadge: document.getElementById('plan-badge'),
 
+  // Organization switcher
+  orgSwitcher: document.getElementById('org-switcher'),
+  orgSelect: document.getElementById('org-select'),
+  orgPrimaryBtn: document.getElementById('org-primary-btn'),
+  orgPrimaryLabel: document.getElementById('org-primary-label'),
+
+  // Fetch problem banner
+  statusBanner: document.getElementById('status-banner'),
+  statusTitle: document.getElementById('status-title'),
+  statusDetail: document.getElementById('status-detail'),
+  statusAction: document.getElementById('status-action'),
+
   // Peak banner
   peakBanner: document.getElementById('peak-banner'),
   peakLabel: document.getElementById('peak-label'),
   peakDescription: document.getElementById('peak-description'),
+  heatmapPeakNote: document.getElementById('heatmap-peak-note'),
   peakCountdown: document.getElementById('peak-countdown'),
   peakLearnMore: document.getElementById('peak-learn-more'),
+  incidentBanner: document.getElementById('incident-banner'),
+  incidentTitle: document.getElementById('incident-title'),
+  incidentDetail: document.getElementById('incident-detail'),
+  incidentLink: document.getElementById('incident-link'),
 
   // Footer
-  lastUpdated: document.getElementById('last-updated')
+  lastUpdated: document.getElementById('last-updated'),
+  settingsManagedNote: document.getElementById('settings-managed-note')
 };
 
 // Timer for countdown updates
 let countdownInterval = null;
 
+// Organization being viewed (null = primary) and the primary org
+let selectedOrgId = null;
+let primaryOrgId = null;
+
+// Settings pushed by an administrator (chrome.storage.managed)
+let managedSettings = {};
+
+// Last status page check, from the service worker
+let serviceStatus = null;
+
+// Peak vs off-peak session drain measured from the viewed org's history
+let peakDrain = null;
+
+function getViewedOrgId() {
+  return selectedOrgId || primaryOrgId;
+}
+
 // ============================================
 // UI State Management
 // ============================================
@@ -182,6 +286,8 @@ function showMainContent() {
   elements.mainContent.classList.remove('hidden');
   displayRandomTip();
   renderHeatmap();
+  renderRoutinesChart();
+  renderSessionLog();
 }
 
 // ============================================
@@ -200,9 +306,11 @@ function getStatusLevel(percentage) {
 
 /**
  * Update the main circular gauge
+ * @param {number} percentage - Session usage
+ * @param {boolean} [unknown] - Value could not be read (schema drift): show "?" and an empty arc
  */
-function updateGauge(percentage) {
-  const pct = Math.min(100, Math.max(0, percentage || 0));
+function updateGauge(percentage, unknown) {
+  const pct = unknown ? 0 : Math.min(100, Math.max(0, percentage || 0));
   const offset = GAUGE_CIRCUMFERENCE - (pct / 100) * GAUGE_CIRCUMFERENCE;
 
   // Animate the gauge
@@ -212,7 +320,7 @@ function updateGauge(percentage) {
 
   // Update the percentage text
   if (elements.sessionPercentage) {
-    elements.sessionPercentage.textContent = Math.round(pct);
+    elements.sessionPercentage.textContent = unknown ? '?' : Math.round(pct);
   }
 
   // Update gradient colors based on status
@@ -253,7 +361,7 @@ function updateStatBar(progressEl, percentageEl, percentage) {
  * Render the stacked bar list: All models, per-model breakdown, routines.
  * Replaces the old tab-based UI with a unified vertical stack.
  */
-function renderWeeklyBars(allModelsData, models, routines) {
+function renderWeeklyBars(allModelsData, models, routines, schemaIssues) {
   if (!elements.barsList) return;
 
   // Clear existing bars
@@ -272,7 +380,9 @@ function renderWeeklyBars(allModelsData, models, routines) {
   // Row 1: All models (overall weekly)
   elements.barsList.appendChild(createBarRow({
     label: 'All models',
-    percentage: allModelsData?.percentage ?? 0
+    percentage: allModelsData?.percentage ?? 0,
+    unknown: isLimitDegraded(schemaIssues, 'weekly'),
+    limitKey: 'weekly'
   }));
 
   // Rows: per-model breakdown (skip if all zero to avoid clutter?)
@@ -287,10 +397,14 @@ function renderWeeklyBars(allModelsData, models, routines) {
   });
 
   sortedModels.forEach(model => {
+    const limitKey = 'model:' + model.codename;
+    const isNew = (schemaIssues || []).some(i => i.type === 'unknown_codename' && i.limitKey === limitKey);
     elements.barsList.appendChild(createBarRow({
       label: model.name,
       percentage: model.percentage,
-      subtitle: model.percentage === 0 ? 'not used yet' : null
+      subtitle: isNew ? 'new limit' : (model.percentage === 0 ? 'not used yet' : null),
+      unknown: isLimitDegraded(schemaIssues, limitKey),
+      limitKey
     }));
   });
 
@@ -300,20 +414,318 @@ function renderWeeklyBars(allModelsData, models, routines) {
     elements.barsList.appendChild(createBarRow({
       label: 'Daily routines',
       percentage: routinesPct,
+      subtitle: routines.resetTimestamp
+        ? `resets ${routines.resetEstimated ? '~' : ''}${formatClockTime(routines.resetTimestamp)}`
+        : null,
       valueText: `${routines.used} / ${routines.limit}`
     }));
   }
 }
 
+/**
+ * Inner ring of the session gauge: how much of the 5-hour window has
+ * passed, to compare with the usage arc around it
+ */
+function updateSessionElapsed(session, unknown) {
+  const now = Date.now();
+  const resetAt = session?.resetTimestamp;
+  const active = !unknown && resetAt > now;
+  const elapsed = active ? Math.min(1, Math.max(0, 1 - (resetAt - now) / SESSION_WINDOW_MS)) : 0;
+  const used = session?.percentage ?? 0;
+
+  if (elements.gaugeElapsed) {
+    elements.gaugeElapsed.style.strokeDashoffset = ELAPSED_CIRCUMFERENCE - elapsed * ELAPSED_CIRCUMFERENCE;
+    elements.gaugeElapsed.classList.toggle('ahead', active && used > elapsed * 100 + SESSION_AHEAD_MARGIN);
+  }
+
+  if (elements.gaugeContainer) {
+    elements.gaugeContainer.title = active
+      ? `${Math.round(used)}% used · ${formatDelta(elapsed * SESSION_WINDOW_MS)} of 5h elapsed`
+      : '';
+  }
+}
+
+/**
+ * Burn-rate forecasts (lib/forecast.js): a ghost arc on the gauge up to
+ * where the session ends at this pace, a line under it, and the run-out
+ * time on weekly bars that won't last until their reset.
+ */
+async function renderForecasts(data) {
+  const now = Date.now();
+  let forecasts = {};
+  try {
+    const history = await getUsageHistory(forecastHistoryStart(now), null, getViewedOrgId());
+    forecasts = forecastLimits(history, data, now);
+  } catch (e) {
+    console.error('[ClaudeKarma] Error computing forecasts:', e);
+  }
+
+  const session = isLimitDegraded(data.schemaIssues, 'session') ? null : forecasts.session;
+  const current = data.currentSession?.percentage ?? 0;
+
+  if (elements.gaugeForecast) {
+    const projected = session ? Math.min(100, Math.max(current, session.projectedAtReset)) : 0;
+    elements.gaugeForecast.style.strokeDashoffset = GAUGE_CIRCUMFERENCE - (projected / 100) * GAUGE_CIRCUMFERENCE;
+    elements.gaugeForecast.classList.toggle('hit', !!session?.willHit);
+  }
+
+  if (elements.sessionForecast) {
+    let text = null;
+    if (session?.willHit) {
+      text = `At this pace: limit at ${formatClockTime(session.hitAt)}, ${formatDelta(session.marginMs)} before reset`;
+    } else if (session?.ratePerHour > 0) {
+      text = `At this pace: ~${Math.round(session.projectedAtReset)}% by reset`;
+    }
+    elements.sessionForecast.textContent = text || '';
+    elements.sessionForecast.classList.toggle('hit', !!session?.willHit);
+    elements.sessionForecast.classList.toggle('hidden', !text);
+  }
+
+  elements.barsList?.querySelectorAll('.bar-row[data-limit-key]').forEach(row => {
+    row.querySelector('.bar-forecast')?.remove();
+    const forecast = forecasts[row.dataset.limitKey];
+    if (!forecast?.willHit) return;
+
+    const subEl = document.createElement('span');
+    subEl.className = 'bar-subtitle bar-forecast hit';
+    subEl.textContent = `· out ${formatResetDay(forecast.hitAt)}`;
+    subEl.title = `At this pace: limit at ${formatResetDay(forecast.hitAt)}, ${formatDelta(forecast.marginMs)} before reset`;
+    row.querySelector('.bar-label')?.parentElement.appendChild(subEl);
+  });
+}
+
+/**
+ * Weekly pacing (lib/pacing.js) on the "All models" row: a marker where
+ * an even spend would be now, ahead/behind, and today's allowance
+ */
+async function renderWeeklyPace(data) {
+  const row = elements.barsList?.querySelector('.bar-row[data-limit-key="weekly"]');
+  if (!row) return;
+
+  const now = Date.now();
+  let pace = null;
+  try {
+    const history = await getUsageHistory(now - 2 * 24 * 60 * 60 * 1000, null, getViewedOrgId());
+    pace = computeWeeklyPace(history, data, now);
+  } catch (e) {
+    console.error('[ClaudeKarma] Error computing weekly pace:', e);
+  }
+
+  row.querySelector('.bar-pace-marker')?.remove();
+  row.querySelector('.weekly-pace')?.remove();
+  if (!pace || isLimitDegraded(data.schemaIssues, 'weekly')) return;
+
+  const marker = document.createElement('div');
+  marker.className = 'bar-pace-marker';
+  marker.style.left = `${pace.idealPercent}%`;
+  marker.title = `Even pace: ${Math.round(pace.idealPercent)}% by now`;
+  row.querySelector('.bar-track')?.appendChild(marker);
+
+  const ahead = Math.round(pace.aheadBy);
+  const paceText = ahead > 0
+    ? `${ahead}% ahead of pace`
+    : ahead < 0 ? `${-ahead}% behind pace` : 'On pace';
+  const todayText = pace.exceeded
+    ? `today ${Math.round(pace.usedToday)}% used of a ${Math.round(pace.allowance)}% share`
+    : `today ${Math.round(pace.allowanceLeft)}% of ${Math.round(pace.allowance)}% left`;
+
+  const line = document.createElement('div');
+  line.className = 'weekly-pace' + (ahead > 0 || pace.exceeded ? ' ahead' : '');
+  line.textContent = `${paceText} · ${todayText}`;
+  line.title = "Today's allowance spreads what was left at midnight evenly over the days until the reset";
+  row.appendChild(line);
+}
+
+/**
+ * Extra usage card: credits spent beyond the plan limits this month.
+ * Hidden unless the account has extra usage turned on.
+ */
+function renderExtraUsage(extraUsage) {
+  if (!elements.extraUsageCard) return;
+
+  if (!extraUsage?.enabled) {
+    elements.extraUsageCard.classList.add('hidden');
+    return;
+  }
+
+  while (elements.extraUsageBody.firstChild) {
+    elements.extraUsageBody.removeChild(elements.extraUsageBody.firstChild);
+  }
+
+  const spent = formatCredits(extraUsage.usedCredits, extraUsage.currency);
+  const hasLimit = extraUsage.monthlyLimit !== null;
+
+  elements.extraUsageBody.appendChild(createBarRow({
+    label: 'Credits spent',
+    percentage: extraUsage.percentage ?? 0,
+    subtitle: hasLimit ? null : 'no monthly limit',
+    valueText: hasLimit
+      ? `${spent} / ${formatCredits(extraUsage.monthlyLimit, extraUsage.currency)}`
+      : spent
+  }));
+
+  if (elements.extraUsageReset) {
+    elements.extraUsageReset.textContent = extraUsage.resetTimestamp
+      ? `Resets ${formatResetDay(extraUsage.resetTimestamp)}`
+      : 'Monthly';
+  }
+
+  elements.extraUsageCard.classList.remove('hidden');
+}
+
+/**
+ * Share of the session and weekly percentage gained while Claude Code was
+ * working (see lib/cli-usage.js for how it's attributed), with the
+ * projects and models behind it. Hidden until transcripts are imported.
+ */
+async function renderClaudeCodeUsage(data) {
+  if (!elements.claudeCodeCard) return;
+
+  const now = Date.now();
+  const weekStart = data.weeklyLimits?.allModels?.resetTimestamp
+    ? data.weeklyLimits.allModels.resetTimestamp - 7 * 24 * 60 * 60 * 1000
+    : now - 7 * 24 * 60 * 60 * 1000;
+
+  let cliUsage;
+  let history = [];
+  try {
+    cliUsage = await getCliUsage();
+    history = await getUsageHistory(weekStart, null, getViewedOrgId());
+  } catch (e) {
+    console.error('[ClaudeKarma] Error loading Claude Code usage:', e);
+    return;
+  }
+
+  const week = summarizeCliUsage(cliUsage.buckets, weekStart);
+  if (week.tokens === 0) {
+    elements.claudeCodeCard.classList.add('hidden');
+    return;
+  }
+
+  while (elements.claudeCodeBody.firstChild) {
+    elements.claudeCodeBody.removeChild(elements.claudeCodeBody.firstChild);
+  }
+
+  const windows = [{ label: 'This week', start: weekStart, field: 'w' }];
+  if (data.currentSession?.resetTimestamp) {
+    windows.unshift({ label: 'Session', start: data.currentSession.resetTimestamp - SESSION_WINDOW_MS, field: 's' });
+  }
+
+  windows.forEach(({ label, start, field }) => {
+    const { gained, cli } = attributeUsageToCli(history, cliUsage.buckets, start, now, field);
+    const row = createBarRow({
+      label,
+      percentage: gained > 0 ? (cli / gained) * 100 : 0,
+      subtitle: 'gained with Claude Code active',
+      valueText: `${Math.round(cli)} of ${Math.round(gained)} pts`
+    });
+    row.querySelector('.bar-fill').className = 'bar-fill cli';
+    elements.claudeCodeBody.appendChild(row);
+  });
+
+  const top = list => list.slice(0, 3).map(item => `${item.name} ${formatTokenCount(item.tokens)}`).join(' · ');
+  const detail = document.createElement('div');
+  detail.className = 'claude-code-detail';
+  detail.textContent = `Projects: ${top(week.projects)}`;
+  const models = document.createElement('div');
+  models.className = 'claude-code-detail';
+  models.textContent = `Models: ${top(week.models.map(m => ({ ...m, name: formatCliModel(m.name) })))}`;
+  elements.claudeCodeBody.appendChild(detail);
+  elements.claudeCodeBody.appendChild(models);
+
+  elements.claudeCodeTokens.textContent = `${formatTokenCount(week.tokens)} tokens this week`;
+  elements.claudeCodeTokens.title = `Excludes ${formatTokenCount(week.cacheReads)} cache-read tokens`;
+  elements.claudeCodeCard.classList.remove('hidden');
+}
+
+/**
+ * Expandable list of enabled routines with the runs each will make before
+ * the budget resets. The summary says whether they all fit.
+ */
+function renderUpcomingRoutines(routineList, budget) {
+  if (!elements.routinesUpcoming) return;
+
+  const plan = planRoutineRuns(routineList, budget);
+  if (!budget?.limit || plan.upcoming.length === 0) {
+    elements.routinesUpcoming.classList.add('hidden');
+    return;
+  }
+
+  const over = plan.totalRuns - plan.remaining;
+  const runsText = `${plan.uncertain ? '≥' : ''}${plan.totalRuns} run${plan.totalRuns === 1 ? '' : 's'} before reset`;
+  elements.routinesUpcomingSummary.textContent = over > 0
+    ? `${runsText} · ${over} over budget`
+    : `${runsText} · fits`;
+  elements.routinesUpcomingSummary.classList.toggle('over', over > 0);
+
+  const list = elements.routinesUpcomingList;
+  while (list.firstChild) list.removeChild(list.firstChild);
+
+  plan.upcoming.forEach(({ routine, runs }) => {
+    const row = document.createElement('div');
+    row.className = 'routine-row';
+    row.title = routine.schedule || '';
+
+    const status = document.createElement('span');
+    const lastStatus = String(routine.lastStatus || '').toLowerCase();
+    status.className = 'routine-status' +
+      (['success', 'succeeded', 'completed'].includes(lastStatus) ? ' success' : '') +
+      (['failed', 'error', 'errored'].includes(lastStatus) ? ' failed' : '');
+    status.title = routine.lastStatus ? `Last run: ${routine.lastStatus}` : 'Not run yet';
+
+    const name = document.createElement('span');
+    name.className = 'routine-name';
+    name.textContent = routine.name;
+
+    const meta = document.createElement('span');
+    meta.className = 'routine-meta';
+    const next = routine.nextRunAt ? `next ${formatClockTime(routine.nextRunAt)}` : 'no run scheduled';
+    meta.textContent = runs === null ? next : `${next} · ×${runs}`;
+
+    row.appendChild(status);
+    row.appendChild(name);
+    row.appendChild(meta);
+    list.appendChild(row);
+  });
+
+  elements.routinesUpcoming.classList.remove('hidden');
+}
+
+function toggleUpcomingRoutines() {
+  const expanded = elements.routinesUpcomingToggle.getAttribute('aria-expanded') === 'true';
+  elements.routinesUpcomingToggle.setAttribute('aria-expanded', String(!expanded));
+  elements.routinesUpcomingList.classList.toggle('hidden', expanded);
+}
+
+/**
+ * Credits are reported in minor units (cents)
+ */
+function formatCredits(amount, currency) {
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: 'currency',
+      currency: currency || 'USD'
+    }).format((amount || 0) / 100);
+  } catch (e) {
+    return ((amount || 0) / 100).toFixed(2);
+  }
+}
+
 /**
  * Create a single bar row DOM node.
  */
-function createBarRow({ label, percentage, subtitle, valueText }) {
-  const pct = Math.max(0, Math.min(100, percentage));
+function createBarRow({ label, percentage, subtitle, valueText, unknown, limitKey }) {
+  const pct = unknown ? 0 : Math.max(0, Math.min(100, percentage));
   const isEmpty = pct === 0;
 
+  if (unknown) {
+    subtitle = 'unreadable';
+    valueText = '?';
+  }
+
   const row = document.createElement('div');
   row.className = 'bar-row';
+  if (limitKey) row.dataset.limitKey = limitKey;
 
   const header = document.createElement('div');
   header.className = 'bar-row-header';
@@ -360,6 +772,14 @@ function getColorClass(pct) {
   return 'critical';
 }
 
+/**
+ * Format a timestamp as a 24-hour local time, e.g. "14:05"
+ */
+function formatClockTime(timestamp) {
+  const date = new Date(timestamp);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
 /**
  * Format a reset timestamp as a short weekday+time string.
  * E.g. "Sun 05:00" or "in 2d 4h" depending on distance.
@@ -440,18 +860,9 @@ function formatTimeAgo(timestamp) {
 // Plan Badge
 // ============================================
 
-const PLAN_DISPLAY = {
-  'default_claude_free': 'Free',
-  'default_claude_pro': 'Pro',
-  'default_claude_max': 'Max 5x',
-  'default_claude_max_20x': 'Max 20x',
-  'default_claude_team': 'Team',
-  'default_claude_enterprise': 'Enterprise'
-};
-
 function updatePlanBadge(planTier) {
   if (!elements.planBadge) return;
-  const display = PLAN_DISPLAY[planTier];
+  const display = PLAN_DISPLAY_NAMES[planTier];
   if (display) {
     elements.planBadge.textContent = display;
     elements.planBadge.classList.remove('hidden');
@@ -460,6 +871,224 @@ function updatePlanBadge(planTier) {
   }
 }
 
+// ============================================
+// Organization Switcher
+// ============================================
+
+function renderOrgSwitcher(organizations, primaryId) {
+  primaryOrgId = primaryId || null;
+  const orgs = organizations || [];
+
+  // Forget a selection that no longer exists
+  if (selectedOrgId && !orgs.some(o => o.id === selectedOrgId)) {
+    selectedOrgId = null;
+  }
+
+  if (!elements.orgSwitcher || orgs.length < 2) {
+    elements.orgSwitcher?.classList.add('hidden');
+    return;
+  }
+
+  while (elements.orgSelect.firstChild) {
+    elements.orgSelect.removeChild(elements.orgSelect.firstChild);
+  }
+
+  orgs.forEach((org, i) => {
+    const option = document.createElement('option');
+    option.value = org.id;
+    option.textContent = org.name || `Organization ${i + 1}`;
+    elements.orgSelect.appendChild(option);
+  });
+
+  const viewedId = getViewedOrgId();
+  elements.orgSelect.value = viewedId;
+
+  const isPrimary = viewedId === primaryOrgId;
+  // A managed primary org can't be changed from here
+  elements.orgPrimaryBtn?.classList.toggle('hidden', isPrimary || !!managedSettings.organizationId);
+  elements.orgPrimaryLabel?.classList.toggle('hidden', !isPrimary);
+  elements.orgSwitcher.classList.remove('hidden');
+}
+
+function handleOrgChange() {
+  const orgId = elements.orgSelect?.value;
+  selectedOrgId = orgId && orgId !== primaryOrgId ? orgId : null;
+  fetchData();
+}
+
+async function handleSetPrimaryOrg() {
+  const orgId = getViewedOrgId();
+  if (!orgId) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.SET_PRIMARY_ORG, orgId });
+    if (!response?.success) throw new Error(response?.error);
+    selectedOrgId = null;
+    await fetchData();
+  } catch (error) {
+    console.error('[ClaudeKarma Popup] Set primary org failed:', error);
+    showError(error.message || 'Failed to change the primary organization');
+  }
+}
+
+// ============================================
+// Fetch Problem Banner
+// ============================================
+
+/**
+ * What to tell the user for each failed fetch state (see FETCH_STATES).
+ * {retry} and {status} are filled from data.errorInfo.
+ */
+const FETCH_ERROR_DETAILS = {
+  offline: {
+    title: "Can't reach Claude.ai",
+    detail: 'Check your connection. Retrying {retry}.',
+    action: 'retry'
+  },
+  rate_limited: {
+    title: 'Rate-limited by Claude.ai',
+    detail: 'Too many requests. Retrying {retry}.',
+    action: null
+  },
+  server_error: {
+    title: 'Claude.ai server error',
+    detail: 'Claude.ai answered HTTP {status}. Retrying {retry}.',
+    action: 'retry'
+  },
+  org_not_found: {
+    title: 'Organization not found',
+    detail: 'The saved organization ID no longer exists.',
+    action: 'setup'
+  },
+  not_authenticated: {
+    title: 'Signed out of Claude.ai',
+    detail: 'Log in again to resume tracking.',
+    action: 'login',
+    critical: true
+  },
+  service_outage: {
+    title: 'Claude.ai is having an outage',
+    detail: 'Reported on the status page. Retrying {retry}.',
+    action: null
+  },
+  parse_error: {
+    title: 'Unexpected response from Claude.ai',
+    detail: 'The usage format may have changed.',
+    action: 'usage_page'
+  }
+};
+
+const FETCH_ERROR_ACTIONS = {
+  retry: { label: 'Retry now', run: () => triggerRefresh() },
+  setup: { label: 'Re-detect', run: () => showSetup() },
+  login: { label: 'Log in', run: () => chrome.tabs.create({ url: 'https://claude.ai/login' }) },
+  usage_page: { label: 'Open usage page', run: () => chrome.tabs.create({ url: 'https://claude.ai/settings/usage' }) }
+};
+
+/**
+ * Describe a failed fetch as { title, detail, action, critical }, or null if OK
+ */
+function describeFetchError(data) {
+  const details = FETCH_ERROR_DETAILS[data?.error];
+  if (!details) return null;
+
+  const info = data.errorInfo || {};
+  const retry = info.retryAt ? `in ${formatCountdown(info.retryAt)}` : 'shortly';
+  const detail = details.detail
+    .replace('{retry}', retry)
+    .replace('{status}', info.status || '5xx');
+
+  return { ...details, detail };
+}
+
+/**
+ * Describe schema drift (see lib/usage-schema.js), or null if the data is trustworthy
+ */
+function describeSchemaProblem(data) {
+  if (!data?.degraded) return null;
+
+  const limits = listLimits(data)
+    .filter(l => isLimitDegraded(data.schemaIssues, l.key))
+    .map(l => l.label);
+
+  return {
+    title: 'Claude.ai changed its usage format',
+    detail: limits.length > 0
+      ? `Couldn't read: ${limits.join(', ')}. Shown as "?" until ClaudeKarma is updated.`
+      : 'Some limits could not be read and are shown as "?".',
+    action: 'usage_page'
+  };
+}
+
+function renderStatusBanner(data) {
+  const banner = elements.statusBanner;
+  if (!banner) return;
+
+  // Fetch failures take precedence over schema drift
+  const fetchProblem = describeFetchError(data);
+  const problem = fetchProblem || describeSchemaProblem(data);
+  if (!problem) {
+    banner.classList.add('hidden');
+    return;
+  }
+
+  const staleNote = fetchProblem && data.lastSuccessAt ? ` Showing data from ${formatTimeAgo(data.lastSuccessAt)}.` : '';
+  elements.statusTitle.textContent = problem.title;
+  elements.statusDetail.textContent = problem.detail + staleNote;
+  banner.classList.toggle('critical', !!problem.critical);
+
+  const action = FETCH_ERROR_ACTIONS[problem.action];
+  if (action) {
+    elements.statusAction.textContent = action.label;
+    elements.statusAction.onclick = action.run;
+    elements.statusAction.classList.remove('hidden');
+  } else {
+    elements.statusAction.classList.add('hidden');
+  }
+
+  banner.classList.remove('hidden');
+}
+
+// ============================================
+// Incident Banner
+// ============================================
+
+const INCIDENT_STATUS_LABELS = {
+  investigating: 'Investigating',
+  identified: 'Identified',
+  monitoring: 'Monitoring',
+  in_progress: 'In progress'
+};
+
+function renderIncidentBanner() {
+  const banner = elements.incidentBanner;
+  if (!banner) return;
+
+  const incident = getHeadlineIncident(serviceStatus);
+  if (!incident) {
+    banner.classList.add('hidden');
+    return;
+  }
+
+  const others = serviceStatus.incidents.length - 1;
+  const parts = [INCIDENT_STATUS_LABELS[incident.status] || 'Ongoing'];
+  if (incident.updatedAt) parts.push(`updated ${formatTimeAgo(incident.updatedAt)}`);
+  if (others > 0) parts.push(`+${others} more`);
+
+  elements.incidentTitle.textContent = incident.name;
+  elements.incidentDetail.textContent = '— ' + parts.join(' · ');
+  banner.classList.toggle('critical', !!serviceStatus.claudeAiOutage);
+
+  if (incident.url) {
+    elements.incidentLink.href = incident.url;
+    elements.incidentLink.classList.remove('hidden');
+  } else {
+    elements.incidentLink.classList.add('hidden');
+  }
+
+  banner.classList.remove('hidden');
+}
+
 // ============================================
 // Peak / Off-Peak Banner
 // ============================================
@@ -475,9 +1104,18 @@ function updatePeakBanner() {
     banner.classList.remove('hidden');
     banner.classList.toggle('peak', state === 'peak');
 
+    const drain = getDrainMultiplier(peakDrain);
+    elements.peakDescription.title = describePeakDrain(peakDrain);
+
     if (state === 'peak') {
       elements.peakLabel.textContent = 'Peak hours';
-      elements.peakDescription.textContent = '— session drains 3-5x faster';
+      if (!drain.measured) {
+        elements.peakDescription.textContent = `— session drains ~${formatMultiplier(drain.multiplier)} faster`;
+      } else if (drain.multiplier >= 1.1) {
+        elements.peakDescription.textContent = `— session drains ${formatMultiplier(drain.multiplier)} faster for you (${drain.confidence} confidence)`;
+      } else {
+        elements.peakDescription.textContent = `— about the off-peak rate for you (${drain.confidence} confidence)`;
+      }
       elements.peakCountdown.textContent = `Off-peak in ${formatDelta(nextChangeAt - now)}`;
     } else {
       elements.peakLabel.textContent = 'Off-peak hours';
@@ -490,6 +1128,44 @@ function updatePeakBanner() {
   }
 }
 
+function formatMultiplier(multiplier) {
+  return `${multiplier.toFixed(1)}x`;
+}
+
+function describePeakDrain(measurement) {
+  if (!measurement) {
+    const estimate = getDrainMultiplier(null).multiplier;
+    return `Estimate from user reports (${formatMultiplier(estimate)}): not enough of your own use in both peak and off-peak hours yet`;
+  }
+  return `Measured from your last ${TIMING.HISTORY_RETENTION_DAYS} days of usage, ${measurement.confidence} confidence: ` +
+    `${formatDelta(measurement.peakActiveMs)} of active use in peak hours, ${formatDelta(measurement.offPeakActiveMs)} off-peak`;
+}
+
+/**
+ * Measure the peak drain multiplier (lib/peak-drain.js) and show it in
+ * the banner and under the activity heatmap
+ */
+async function renderPeakDrain() {
+  try {
+    peakDrain = measurePeakDrain(await getUsageHistory(null, null, getViewedOrgId()));
+  } catch (e) {
+    console.error('[ClaudeKarma] Error measuring peak drain:', e);
+    peakDrain = null;
+  }
+
+  updatePeakBanner();
+
+  if (elements.heatmapPeakNote) {
+    if (peakDrain) {
+      elements.heatmapPeakNote.textContent =
+        `Peak hours drain your session ${formatMultiplier(peakDrain.multiplier)} as fast as off-peak ` +
+        `(${peakDrain.confidence} confidence)`;
+      elements.heatmapPeakNote.title = describePeakDrain(peakDrain);
+    }
+    elements.heatmapPeakNote.classList.toggle('hidden', !peakDrain);
+  }
+}
+
 function formatDelta(ms) {
   const totalMin = Math.max(0, Math.floor(ms / 60000));
   const h = Math.floor(totalMin / 60);
@@ -513,16 +1189,25 @@ function renderUsageData(data) {
     return;
   }
 
-  if (data.error === 'not_authenticated') {
+  // Last good data survives failed fetches; without it there is nothing to show
+  const hasGoodData = !!(data.lastSuccessAt || data.fetchSource);
+
+  if (data.error === 'not_authenticated' && !hasGoodData) {
     showLoginPrompt();
     return;
   }
 
-  if (data.error === 'needs_setup') {
+  if (data.error === 'needs_setup' || (data.error === 'org_not_found' && !hasGoodData)) {
     showSetup();
     return;
   }
 
+  const problem = describeFetchError(data);
+  if (problem && !hasGoodData) {
+    showError(`${problem.title}. ${problem.detail}`);
+    return;
+  }
+
   // Check if we have actual usage data
   if (!data.currentSession && !data.lastFetchedAt) {
     showSetup();
@@ -532,18 +1217,28 @@ function renderUsageData(data) {
   // First run: data was saved but fetch never succeeded yet
   if (!data.fetchSource && data.currentSession?.percentage === 0) {
     showLoading();
-    // Trigger a fresh fetch, then reload data when done
-    chrome.runtime.sendMessage({ type: MESSAGE_TYPES.REQUEST_REFRESH }, () => {
-      setTimeout(fetchData, 2000);
+    // Trigger a fresh fetch; the response carries the result
+    requestRefresh().then(response => {
+      // Still nothing after a real attempt: show what happened instead of looping
+      if (response && !response.data?.fetchSource && !response.data?.error) {
+        showError('No usage data yet. Open claude.ai and try again.');
+        return;
+      }
+      renderRefreshResponse(response);
+    }).catch(error => {
+      console.error('[ClaudeKarma Popup] First-run refresh failed:', error);
+      showError('Failed to refresh data');
     });
     return;
   }
 
   showMainContent();
+  renderStatusBanner(data);
 
   // Session gauge
   const sessionPct = data.currentSession?.percentage ?? 0;
-  updateGauge(sessionPct);
+  updateGauge(sessionPct, isLimitDegraded(data.schemaIssues, 'session'));
+  updateSessionElapsed(data.currentSession, isLimitDegraded(data.schemaIssues, 'session'));
   if (elements.sessionReset) {
     elements.sessionReset.textContent = formatResetInfo(data.currentSession);
   }
@@ -565,17 +1260,24 @@ function renderUsageData(data) {
     }
   }
 
-  renderWeeklyBars(allModelsData, models, data.routines);
+  renderWeeklyBars(allModelsData, models, data.routines, data.schemaIssues);
+  renderForecasts(data);
+  renderWeeklyPace(data);
+  renderExtraUsage(data.extraUsage);
+  renderUpcomingRoutines(data.routineList, data.routines);
+  renderClaudeCodeUsage(data);
 
   // Update plan badge (if available on data)
   updatePlanBadge(data.planTier);
 
   // Update peak/off-peak banner
   updatePeakBanner();
+  renderPeakDrain();
+  renderIncidentBanner();
 
   // Last Updated
   if (elements.lastUpdated) {
-    elements.lastUpdated.textContent = `Updated ${formatTimeAgo(data.lastFetchedAt)}`;
+    elements.lastUpdated.textContent = `Updated ${formatTimeAgo(data.lastSuccessAt || data.lastFetchedAt)}`;
   }
 }
 
@@ -587,9 +1289,14 @@ async function fetchData() {
   showLoading();
 
   try {
-    const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.GET_USAGE_DATA });
+    const response = await chrome.runtime.sendMessage({
+      type: MESSAGE_TYPES.GET_USAGE_DATA,
+      orgId: selectedOrgId
+    });
 
     if (response?.success && response.data) {
+      serviceStatus = response.serviceStatus || null;
+      renderOrgSwitcher(response.organizations, response.primaryOrgId);
       renderUsageData(response.data);
     } else {
       showError(response?.error || 'Failed to load data');
@@ -600,20 +1307,41 @@ async function fetchData() {
   }
 }
 
+/**
+ * Ask the service worker for a forced fetch. Resolves once the fetch has
+ * finished, with { outcome, data, organizations, primaryOrgId }.
+ */
+async function requestRefresh() {
+  const response = await chrome.runtime.sendMessage({
+    type: MESSAGE_TYPES.REQUEST_REFRESH,
+    orgId: selectedOrgId
+  });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Refresh failed');
+  }
+  return response;
+}
+
+function renderRefreshResponse(response) {
+  if (!response?.data) {
+    showError('Failed to load data');
+    return;
+  }
+  serviceStatus = response.serviceStatus || null;
+  renderOrgSwitcher(response.organizations, response.primaryOrgId);
+  renderUsageData(response.data);
+}
+
 async function triggerRefresh() {
   elements.refreshBtn.classList.add('spinning');
 
   try {
-    await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.REQUEST_REFRESH });
-
-    setTimeout(() => {
-      fetchData();
-      elements.refreshBtn.classList.remove('spinning');
-    }, 2000);
+    renderRefreshResponse(await requestRefresh());
   } catch (error) {
     console.error('[ClaudeKarma Popup] Error triggering refresh:', error);
-    elements.refreshBtn.classList.remove('spinning');
     showError('Failed to refresh data');
+  } finally {
+    elements.refreshBtn.classList.remove('spinning');
   }
 }
 
@@ -630,22 +1358,15 @@ async function handleAutoDetect() {
   }
 
   try {
-    await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.REQUEST_REFRESH });
-
-    setTimeout(async () => {
-      await fetchData();
-      elements.autoDetectBtn.disabled = false;
-      if (elements.autoDetectBtnText) {
-        elements.autoDetectBtnText.textContent = 'Auto-detect Account';
-      }
-    }, 3000);
+    renderRefreshResponse(await requestRefresh());
   } catch (error) {
     console.error('[ClaudeKarma Popup] Auto-detect failed:', error);
+    showError('Auto-detect failed. Please enter your Org ID manually.');
+  } finally {
     elements.autoDetectBtn.disabled = false;
     if (elements.autoDetectBtnText) {
       elements.autoDetectBtnText.textContent = 'Auto-detect Account';
     }
-    showError('Auto-detect failed. Please enter your Org ID manually.');
   }
 }
 
@@ -665,49 +1386,169 @@ async function handleSaveOrgId() {
   elements.saveOrgBtn.textContent = 'Saving...';
 
   try {
-    await chrome.runtime.sendMessage({ type: 'SET_ORG_ID', orgId: orgId });
-
-    setTimeout(async () => {
-      await fetchData();
-      elements.saveOrgBtn.disabled = false;
-      elements.saveOrgBtn.textContent = 'Save';
-    }, 2000);
+    const response = await chrome.runtime.sendMessage({ type: 'SET_ORG_ID', orgId: orgId });
+    if (!response?.success) throw new Error(response?.error);
+    selectedOrgId = null;
+    renderRefreshResponse(response);
   } catch (error) {
     console.error('[ClaudeKarma Popup] Save org ID failed:', error);
-    elements.saveOrgBtn.disabled = false;
+    showError(error.message || 'Failed to save Organization ID');
+  } finally {
+    elements.saveOrgBtn.disabled = 'organizationId' in managedSettings;
     elements.saveOrgBtn.textContent = 'Save';
-    showError('Failed to save Organization ID');
   }
 }
 
 // ============================================
-// Settings Panel
+// Managed Settings
 // ============================================
 
-async function openSettings() {
-  // Load current settings
-  try {
-    const result = await chrome.storage.local.get('settings');
-    const settings = result.settings || {};
-
-    if (elements.settingNotifications) {
-      elements.settingNotifications.checked = settings.notifications?.enabled !== false;
-    }
+const MANAGED_TITLE = 'Set by your organization';
 
-    const thresholds = settings.notifications?.thresholds || [75, 90, 100];
-    if (elements.threshold75) elements.threshold75.checked = thresholds.includes(75);
-    if (elements.threshold90) elements.threshold90.checked = thresholds.includes(90);
-    if (elements.threshold100) elements.threshold100.checked = thresholds.includes(100);
+/**
+ * Disable the settings controls an administrator has set by policy
+ */
+function lockManagedFields() {
+  const managedNotifications = managedSettings.notifications || {};
+  const fields = [
+    [elements.settingNotifications, 'enabled' in managedNotifications],
+    [elements.threshold75, 'thresholds' in managedNotifications],
+    [elements.threshold90, 'thresholds' in managedNotifications],
+    [elements.threshold100, 'thresholds' in managedNotifications],
+    [elements.settingForecastAlerts, 'forecastAlerts' in managedNotifications],
+    [elements.settingPaceAlerts, 'paceAlerts' in managedNotifications],
+    ...[...(elements.routineThresholdOptions?.querySelectorAll('input') || [])]
+      .map(input => [input, 'routineThresholds' in managedNotifications]),
+    [elements.settingRefreshInterval, 'refreshInterval' in managedSettings],
+    [elements.settingAdaptiveRefresh, 'adaptiveRefresh' in managedSettings],
+    [elements.settingExternalAllowlist, 'externalAllowlist' in managedSettings],
+    [elements.settingNativeBridge, 'nativeBridge' in managedSettings],
+    [elements.settingClaudeCodeLogs, 'claudeCodeLogs' in managedSettings],
+    [elements.settingStatusPageUrl, 'statusPageUrl' in managedSettings],
+    [elements.settingMetricsFormat, 'metricsExport' in managedSettings],
+    [elements.settingMetricsUrl, 'metricsExport' in managedSettings],
+    [elements.settingMetricsHeaders, 'metricsExport' in managedSettings],
+    // A saved or reset org ID would be overridden by the managed one anyway
+    [elements.orgIdInput, 'organizationId' in managedSettings],
+    [elements.saveOrgBtn, 'organizationId' in managedSettings],
+    [elements.resetSetupBtn, 'organizationId' in managedSettings]
+  ];
+
+  let anyLocked = false;
+  fields.forEach(([el, locked]) => {
+    if (!el) return;
+    el.disabled = locked;
+    el.title = locked ? MANAGED_TITLE : '';
+    anyLocked = anyLocked || locked;
+  });
 
-    if (elements.thresholdOptions) {
-      elements.thresholdOptions.style.opacity = elements.settingNotifications?.checked ? '1' : '0.4';
-      elements.thresholdOptions.style.pointerEvents = elements.settingNotifications?.checked ? 'auto' : 'none';
-    }
+  elements.settingsManagedNote?.classList.toggle('hidden', !anyLocked);
+}
 
-    if (elements.settingRefreshInterval) {
-      elements.settingRefreshInterval.value = String(settings.refreshInterval || 5);
+/**
+ * Drop policy-controlled keys so the user's own values stay untouched
+ */
+function omitManagedKeys(settings) {
+  Object.keys(managedSettings).forEach(key => {
+    if (key !== 'notifications') delete settings[key];
+  });
+  Object.keys(managedSettings.notifications || {}).forEach(key => {
+    delete settings.notifications?.[key];
+  });
+  return settings;
+}
+
+async function applyManagedSettings() {
+  managedSettings = await getManagedSettings();
+
+  const hideLinks = !!managedSettings.disableExternalLinks;
+  elements.tipsBtn?.classList.toggle('hidden', hideLinks);
+  elements.peakLearnMore?.classList.toggle('hidden', hideLinks);
+
+  // Also covers the org ID field on the setup screen
+  lockManagedFields();
+  if (elements.settingsPanel?.classList.contains('open')) {
+    renderWebhookList();
+  }
+}
+
+// ============================================
+// Settings Panel
+// ============================================
+
+async function openSettings() {
+  // Load current settings
+  try {
+    const settings = await getSettings();
+
+    if (elements.settingNotifications) {
+      elements.settingNotifications.checked = settings.notifications?.enabled !== false;
+    }
+
+    const thresholds = settings.notifications?.thresholds || [75, 90, 100];
+    if (elements.threshold75) elements.threshold75.checked = thresholds.includes(75);
+    if (elements.threshold90) elements.threshold90.checked = thresholds.includes(90);
+    if (elements.threshold100) elements.threshold100.checked = thresholds.includes(100);
+
+    const routineThresholds = settings.notifications?.routineThresholds || DEFAULT_SETTINGS.notifications.routineThresholds;
+    elements.routineThresholdOptions?.querySelectorAll('input[data-threshold]').forEach(input => {
+      input.checked = routineThresholds.includes(parseInt(input.dataset.threshold, 10));
+    });
+
+    if (elements.settingForecastAlerts) {
+      elements.settingForecastAlerts.checked = !!settings.notifications?.forecastAlerts;
+    }
+    if (elements.settingPaceAlerts) {
+      elements.settingPaceAlerts.checked = !!settings.notifications?.paceAlerts;
+    }
+
+    const { usageData } = await chrome.storage.local.get('usageData');
+    renderResetAlertOptions(usageData, settings.notifications?.resetAlerts || {});
+
+    updateNotificationOptionsState();
+
+    if (elements.settingRefreshInterval) {
+      elements.settingRefreshInterval.value = String(settings.refreshInterval || 5);
     }
 
+    if (elements.settingAdaptiveRefresh) {
+      elements.settingAdaptiveRefresh.checked = settings.adaptiveRefresh !== false;
+    }
+
+    if (elements.settingExternalAllowlist) {
+      elements.settingExternalAllowlist.value = (settings.externalAllowlist || []).join('\n');
+    }
+
+    if (elements.settingStatusPageUrl) {
+      elements.settingStatusPageUrl.value = settings.statusPageUrl || '';
+    }
+    renderStatusPageStatus();
+
+    webhookTargets = (settings.webhooks || []).map(target => ({ ...target }));
+    renderWebhookList();
+    renderWebhookLog();
+
+    if (elements.settingMetricsUrl) {
+      const metricsExport = settings.metricsExport || {};
+      elements.settingMetricsFormat.value = metricsExport.format || METRICS_FORMATS.INFLUX;
+      elements.settingMetricsUrl.value = metricsExport.url || '';
+      elements.settingMetricsHeaders.value = formatHeaderLines(metricsExport.headers);
+      updateMetricsUrlPlaceholder();
+      renderMetricsExportStatus();
+    }
+
+    if (elements.settingClaudeCodeLogs) {
+      elements.settingClaudeCodeLogs.checked = !!settings.claudeCodeLogs;
+      renderClaudeCodeLogsStatus(settings.claudeCodeLogs);
+    }
+
+    if (elements.settingNativeBridge) {
+      elements.settingNativeBridge.checked = !!settings.nativeBridge;
+      renderNativeBridgeStatus(settings.nativeBridge);
+    }
+
+    lockManagedFields();
+
     if (elements.settingsVersion) {
       const manifest = chrome.runtime.getManifest();
       elements.settingsVersion.textContent = `ClaudeKarma v${manifest.version}`;
@@ -719,6 +1560,454 @@ async function openSettings() {
   elements.settingsPanel?.classList.add('open');
 }
 
+/**
+ * One opt-in checkbox per limit we currently know about (session, weekly,
+ * each model). Keys come from lib/limits.js.
+ */
+function renderResetAlertOptions(usageData, resetAlerts) {
+  const container = elements.resetAlertOptions;
+  if (!container) return;
+
+  while (container.firstChild) container.removeChild(container.firstChild);
+
+  listLimits(usageData || {}).forEach(limit => {
+    const label = document.createElement('label');
+    label.className = 'settings-checkbox';
+
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.dataset.limitKey = limit.key;
+    input.checked = !!resetAlerts[limit.key];
+    input.addEventListener('change', saveSettings);
+
+    const text = document.createElement('span');
+    text.textContent = limit.label;
+
+    label.appendChild(input);
+    label.appendChild(text);
+    container.appendChild(label);
+  });
+}
+
+function getResetAlertsFromForm() {
+  const resetAlerts = {};
+  elements.resetAlertOptions?.querySelectorAll('input[data-limit-key]').forEach(input => {
+    if (input.checked) resetAlerts[input.dataset.limitKey] = true;
+  });
+  return resetAlerts;
+}
+
+function getRoutineThresholdsFromForm() {
+  const thresholds = [];
+  elements.routineThresholdOptions?.querySelectorAll('input[data-threshold]').forEach(input => {
+    if (input.checked) thresholds.push(parseInt(input.dataset.threshold, 10));
+  });
+  return thresholds;
+}
+
+/**
+ * The host is optional, so nativeMessaging is only requested when the
+ * toggle is switched on (needs the click's user gesture).
+ */
+async function handleNativeBridgeToggle() {
+  if (elements.settingNativeBridge.checked) {
+    const granted = await chrome.permissions.request({ permissions: ['nativeMessaging'] }).catch(() => false);
+    if (!granted) elements.settingNativeBridge.checked = false;
+  }
+  await saveSettings();
+  // Give the service worker a moment to reach the host
+  setTimeout(() => renderNativeBridgeStatus(elements.settingNativeBridge.checked), 500);
+}
+
+const NATIVE_BRIDGE_HINT = 'Keeps ~/.claudekarma/status.json up to date for shell prompts and Claude Code status lines. Needs the native host from native-host/.';
+
+async function renderNativeBridgeStatus(enabled) {
+  if (!elements.nativeBridgeStatus) return;
+
+  const { nativeBridge } = await chrome.storage.local.get('nativeBridge');
+  let text = NATIVE_BRIDGE_HINT;
+  if (enabled && nativeBridge?.connected) {
+    text = `Connected. Last write ${formatTimeAgo(nativeBridge.lastAckAt)}.`;
+  } else if (enabled && nativeBridge?.error) {
+    text = /not found/i.test(nativeBridge.error)
+      ? 'Native host not installed. Run native-host/install.sh (see README).'
+      : `Native host error: ${nativeBridge.error}`;
+  }
+  elements.nativeBridgeStatus.textContent = text;
+}
+
+async function handleClaudeCodeLogsToggle() {
+  if (elements.settingClaudeCodeLogs.checked) {
+    const granted = await chrome.permissions.request({ permissions: ['nativeMessaging'] }).catch(() => false);
+    if (!granted) elements.settingClaudeCodeLogs.checked = false;
+  }
+  await saveSettings();
+  // The first scan reads up to two weeks of transcripts
+  setTimeout(() => renderClaudeCodeLogsStatus(elements.settingClaudeCodeLogs.checked), 2000);
+}
+
+const CLAUDE_CODE_LOGS_HINT = 'Reads token counts from local Claude Code transcripts through the same native host, to show how much of your usage comes from the CLI.';
+
+async function renderClaudeCodeLogsStatus(enabled) {
+  if (!elements.claudeCodeLogsStatus) return;
+
+  const cliUsage = await getCliUsage();
+  const { nativeBridge } = await chrome.storage.local.get('nativeBridge');
+  let text = CLAUDE_CODE_LOGS_HINT;
+  if (enabled && cliUsage.error) {
+    text = `Claude Code import failed: ${cliUsage.error}`;
+  } else if (enabled && /unknown message/i.test(nativeBridge?.error || '')) {
+    text = 'The native host is too old to import Claude Code usage. Re-run native-host/install.sh.';
+  } else if (enabled && /not found/i.test(nativeBridge?.error || '')) {
+    text = 'Native host not installed. Run native-host/install.sh (see README).';
+  } else if (enabled && cliUsage.scannedAt) {
+    text = `Last read ${formatTimeAgo(cliUsage.scannedAt)} from ${cliUsage.files} transcript${cliUsage.files === 1 ? '' : 's'}.`;
+  }
+  elements.claudeCodeLogsStatus.textContent = text;
+}
+
+/**
+ * Extension IDs as typed; page URLs reduced to their origin
+ */
+function getExternalAllowlistFromForm() {
+  const lines = (elements.settingExternalAllowlist?.value || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  return [...new Set(lines.map(line => {
+    if (!/^https?:\/\//.test(line)) return line;
+    try {
+      return new URL(line).origin;
+    } catch (e) {
+      return line;
+    }
+  }))];
+}
+
+// ============================================
+// Webhooks
+// ============================================
+
+// Targets being edited (settings.webhooks), saved on every change
+let webhookTargets = [];
+
+// Delivery log entries shown in settings
+const WEBHOOK_LOG_ROWS = 10;
+
+function createSettingsTextarea(value, placeholder, onChange) {
+  const textarea = document.createElement('textarea');
+  textarea.className = 'settings-textarea';
+  textarea.rows = 2;
+  textarea.spellcheck = false;
+  textarea.placeholder = placeholder;
+  textarea.value = value;
+  textarea.addEventListener('change', () => onChange(textarea.value));
+  return textarea;
+}
+
+function renderWebhookList() {
+  const container = elements.webhookList;
+  if (!container) return;
+
+  while (container.firstChild) container.removeChild(container.firstChild);
+
+  const locked = 'webhooks' in managedSettings;
+  if (elements.webhookAddBtn) {
+    elements.webhookAddBtn.disabled = locked;
+    elements.webhookAddBtn.title = locked ? MANAGED_TITLE : '';
+  }
+
+  webhookTargets.forEach((target, index) => {
+    const card = document.createElement('div');
+    card.className = 'webhook-card';
+
+    const update = changes => {
+      webhookTargets[index] = { ...webhookTargets[index], ...changes };
+      saveSettings();
+    };
+
+    const url = document.createElement('input');
+    url.type = 'url';
+    url.className = 'settings-input';
+    url.spellcheck = false;
+    url.placeholder = 'https://hooks.slack.com/services/…';
+    url.value = target.url || '';
+    url.addEventListener('change', () => update({ url: url.value.trim() }));
+    card.appendChild(url);
+
+    card.appendChild(createSettingsTextarea(
+      formatHeaderLines(target.headers),
+      'Authorization: Bearer …',
+      value => update({ headers: parseHeaderLines(value) })
+    ));
+    card.appendChild(createSettingsTextarea(
+      target.template ?? DEFAULT_WEBHOOK_TEMPLATE,
+      'Empty = send the whole event as JSON',
+      value => update({ template: value })
+    ));
+
+    const events = document.createElement('div');
+    events.className = 'settings-thresholds';
+    Object.entries(WEBHOOK_EVENT_LABELS).forEach(([event, labelText]) => {
+      const label = document.createElement('label');
+      label.className = 'settings-checkbox';
+
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = (target.events || []).includes(event);
+      input.addEventListener('change', () => {
+        const current = webhookTargets[index].events || [];
+        update({ events: input.checked ? [...current, event] : current.filter(e => e !== event) });
+      });
+
+      const text = document.createElement('span');
+      text.textContent = labelText;
+
+      label.appendChild(input);
+      label.appendChild(text);
+      events.appendChild(label);
+    });
+    card.appendChild(events);
+
+    const actions = document.createElement('div');
+    actions.className = 'webhook-actions';
+
+    const result = document.createElement('span');
+    result.className = 'settings-hint webhook-result';
+
+    const testBtn = document.createElement('button');
+    testBtn.className = 'settings-btn-secondary';
+    testBtn.textContent = 'Send test';
+    testBtn.addEventListener('click', () => handleWebhookTest(webhookTargets[index], result));
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'settings-btn-danger';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => {
+      webhookTargets.splice(index, 1);
+      renderWebhookList();
+      saveSettings();
+    });
+
+    actions.appendChild(testBtn);
+    actions.appendChild(removeBtn);
+    card.appendChild(actions);
+    card.appendChild(result);
+
+    card.querySelectorAll('input, textarea').forEach(el => {
+      el.disabled = locked;
+      el.title = locked ? MANAGED_TITLE : '';
+    });
+    removeBtn.disabled = locked;
+
+    container.appendChild(card);
+  });
+}
+
+function handleWebhookAdd() {
+  webhookTargets.push(createWebhookTarget());
+  renderWebhookList();
+  elements.webhookList?.lastElementChild?.querySelector('input')?.focus();
+  saveSettings();
+}
+
+/**
+ * Grant access to the target's origin (needs this click), then ask the
+ * service worker to send a test event.
+ */
+async function handleWebhookTest(target, resultEl) {
+  const origin = webhookOriginPattern(target?.url);
+  if (!origin) {
+    resultEl.textContent = 'Enter an http(s) URL first.';
+    return;
+  }
+
+  const granted = await chrome.permissions.request({ origins: [origin] }).catch(() => false);
+  if (!granted) {
+    resultEl.textContent = 'Permission to reach this URL was not granted.';
+    return;
+  }
+
+  resultEl.textContent = 'Sending…';
+  await saveSettings();
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.TEST_WEBHOOK, targetId: target.id });
+    if (!response?.success) {
+      resultEl.textContent = response?.error || 'Test failed.';
+    } else if (response.entry.ok) {
+      resultEl.textContent = `Delivered (HTTP ${response.entry.status}).`;
+    } else {
+      resultEl.textContent = `Failed: ${response.entry.error}`;
+    }
+  } catch (error) {
+    resultEl.textContent = 'Failed to communicate with extension';
+  }
+  renderWebhookLog();
+}
+
+async function renderWebhookLog() {
+  const container = elements.webhookLog;
+  if (!container) return;
+
+  const log = (await getWebhookLog()).slice(0, WEBHOOK_LOG_ROWS);
+  while (container.firstChild) container.removeChild(container.firstChild);
+
+  if (log.length === 0) {
+    const empty = document.createElement('span');
+    empty.className = 'settings-hint';
+    empty.textContent = 'No deliveries yet.';
+    container.appendChild(empty);
+    return;
+  }
+
+  log.forEach(entry => {
+    const row = document.createElement('div');
+    row.className = 'webhook-log-row' + (entry.ok ? '' : ' failed');
+
+    let host = entry.url;
+    try { host = new URL(entry.url).host; } catch (e) { /* keep as typed */ }
+
+    const outcome = entry.ok
+      ? `HTTP ${entry.status}`
+      : entry.error + (entry.willRetry ? ' · retrying' : '');
+    const attempt = entry.attempt > 1 ? ` (try ${entry.attempt})` : '';
+
+    row.textContent = `${formatClockTime(entry.t)} ${entry.event} → ${host}: ${outcome}${attempt}`;
+    row.title = entry.url;
+    container.appendChild(row);
+  });
+}
+
+// ============================================
+// Metrics Export
+// ============================================
+
+const METRICS_URL_PLACEHOLDERS = {
+  influx: 'http://localhost:8086/write?db=claudekarma',
+  pushgateway: 'http://localhost:9091'
+};
+
+const METRICS_EXPORT_HINT = 'Session, weekly, per-model and routines values after every refresh, for Grafana and the like. Leave the URL empty to turn off.';
+
+function updateMetricsUrlPlaceholder() {
+  elements.settingMetricsUrl.placeholder = METRICS_URL_PLACEHOLDERS[elements.settingMetricsFormat.value] || '';
+}
+
+async function renderMetricsExportStatus() {
+  if (!elements.metricsExportStatus) return;
+
+  const state = await getMetricsExportState();
+  const buffered = (await getMetricsBuffer()).length;
+  const waiting = buffered > 0 ? ` ${buffered} point${buffered === 1 ? '' : 's'} waiting.` : '';
+
+  const enabled = !!elements.settingMetricsUrl?.value.trim();
+  let text = METRICS_EXPORT_HINT;
+  if (enabled && state.lastError) {
+    text = `Push failed: ${state.lastError}.${waiting}`;
+  } else if (enabled && state.lastPushAt) {
+    text = `Last push ${formatTimeAgo(state.lastPushAt)}.${waiting}`;
+  }
+  elements.metricsExportStatus.textContent = text;
+}
+
+/**
+ * Last check of the feed in the URL field: when, or why it failed
+ */
+function renderStatusPageStatus() {
+  if (!elements.statusPageStatus) return;
+
+  const url = elements.settingStatusPageUrl?.value.trim();
+  let text = '';
+  if (url && serviceStatus?.url === url && serviceStatus.errorMessage) {
+    text = `Check failed: ${serviceStatus.errorMessage}.`;
+  } else if (url && serviceStatus?.url === url && serviceStatus.checkedAt) {
+    text = `Last checked ${formatTimeAgo(serviceStatus.checkedAt)}.`;
+  }
+  elements.statusPageStatus.textContent = text;
+}
+
+/**
+ * Grant access to a feed other than Anthropic's (needs this click), then
+ * check it right away
+ */
+async function handleStatusPageCheck() {
+  const url = elements.settingStatusPageUrl?.value.trim();
+  const origin = webhookOriginPattern(url);
+  if (!origin) {
+    elements.statusPageStatus.textContent = 'Enter an http(s) URL first.';
+    return;
+  }
+
+  if (url !== DEFAULT_SETTINGS.statusPageUrl) {
+    const granted = await chrome.permissions.request({ origins: [origin] }).catch(() => false);
+    if (!granted) {
+      elements.statusPageStatus.textContent = 'Permission to reach this URL was not granted.';
+      return;
+    }
+  }
+
+  elements.statusPageStatus.textContent = 'Checking…';
+  await saveSettings();
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.CHECK_SERVICE_STATUS });
+    if (!response?.success) {
+      elements.statusPageStatus.textContent = response?.error || 'Check failed.';
+      return;
+    }
+    serviceStatus = response.status;
+  } catch (error) {
+    elements.statusPageStatus.textContent = 'Failed to communicate with extension';
+    return;
+  }
+  renderIncidentBanner();
+  renderStatusPageStatus();
+}
+
+/**
+ * Grant access to the endpoint's origin (needs this click), then push
+ * whatever is buffered, or the current values
+ */
+async function handleMetricsPush() {
+  const origin = webhookOriginPattern(elements.settingMetricsUrl?.value.trim());
+  if (!origin) {
+    elements.metricsExportStatus.textContent = 'Enter an http(s) URL first.';
+    return;
+  }
+
+  const granted = await chrome.permissions.request({ origins: [origin] }).catch(() => false);
+  if (!granted) {
+    elements.metricsExportStatus.textContent = 'Permission to reach this URL was not granted.';
+    return;
+  }
+
+  elements.metricsExportStatus.textContent = 'Pushing…';
+  await saveSettings();
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.FLUSH_METRICS });
+    if (!response?.success) {
+      elements.metricsExportStatus.textContent = response?.error || 'Push failed.';
+      return;
+    }
+  } catch (error) {
+    elements.metricsExportStatus.textContent = 'Failed to communicate with extension';
+    return;
+  }
+  renderMetricsExportStatus();
+}
+
+function updateNotificationOptionsState() {
+  const enabled = !!elements.settingNotifications?.checked;
+  [elements.thresholdOptions, elements.routineThresholdOptions, elements.resetAlertOptions, elements.forecastAlertOptions].forEach(el => {
+    if (!el) return;
+    el.style.opacity = enabled ? '1' : '0.4';
+    el.style.pointerEvents = enabled ? 'auto' : 'none';
+  });
+}
+
 function closeSettings() {
   elements.settingsPanel?.classList.remove('open');
 }
@@ -733,11 +2022,28 @@ async function saveSettings() {
     const settings = {
       notifications: {
         enabled: elements.settingNotifications?.checked ?? true,
-        thresholds: thresholds
+        thresholds: thresholds,
+        routineThresholds: getRoutineThresholdsFromForm(),
+        resetAlerts: getResetAlertsFromForm(),
+        forecastAlerts: elements.settingForecastAlerts?.checked ?? false,
+        paceAlerts: elements.settingPaceAlerts?.checked ?? false
       },
-      refreshInterval: parseInt(elements.settingRefreshInterval?.value || '5', 10)
+      refreshInterval: parseInt(elements.settingRefreshInterval?.value || '5', 10),
+      adaptiveRefresh: elements.settingAdaptiveRefresh?.checked ?? true,
+      externalAllowlist: getExternalAllowlistFromForm(),
+      nativeBridge: elements.settingNativeBridge?.checked ?? false,
+      claudeCodeLogs: elements.settingClaudeCodeLogs?.checked ?? false,
+      statusPageUrl: (elements.settingStatusPageUrl?.value || '').trim(),
+      webhooks: webhookTargets,
+      metricsExport: {
+        format: elements.settingMetricsFormat?.value || METRICS_FORMATS.INFLUX,
+        url: (elements.settingMetricsUrl?.value || '').trim(),
+        headers: parseHeaderLines(elements.settingMetricsHeaders?.value)
+      }
     };
 
+    omitManagedKeys(settings);
+
     const current = await chrome.storage.local.get('settings');
     await chrome.storage.local.set({
       settings: { ...current.settings, ...settings }
@@ -752,7 +2058,7 @@ async function saveSettings() {
 
 async function handleClearHistory() {
   if (confirm('Clear all usage history? This cannot be undone.')) {
-    await chrome.storage.local.set({ usageHistory: [] });
+    await clearUsageHistory();
     elements.clearHistoryBtn.textContent = 'Cleared!';
     setTimeout(() => {
       elements.clearHistoryBtn.textContent = 'Clear Usage History';
@@ -762,7 +2068,8 @@ async function handleClearHistory() {
 
 async function handleResetSetup() {
   if (confirm('Reset account setup? You will need to reconnect.')) {
-    await chrome.storage.local.remove(['settings']);
+    await chrome.storage.local.remove(['settings', 'organizations', 'orgUsageData']);
+    selectedOrgId = null;
     closeSettings();
     showSetup();
   }
@@ -810,6 +2117,8 @@ const heatmapDays = document.getElementById('heatmap-days');
 const heatmapTooltip = document.getElementById('heatmap-tooltip');
 const heatmapWeekBtn = document.getElementById('heatmap-week');
 const heatmapMonthBtn = document.getElementById('heatmap-month');
+const heatmapPlanNote = document.getElementById('heatmap-plan-note');
+const heatmapCliNote = document.getElementById('heatmap-cli-note');
 
 let heatmapPeriod = 'week';
 
@@ -825,6 +2134,17 @@ function getHeatmapLevel(percentage) {
   return 4;
 }
 
+/**
+ * Calendar days from startDate to a timestamp, in local time. Counted on
+ * dates, since a day is 23 or 25 hours long when the clocks change.
+ */
+function getHeatmapDayIndex(startDate, t) {
+  const date = new Date(t);
+  const dayUtc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  const startUtc = Date.UTC(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+  return Math.round((dayUtc - startUtc) / (24 * 60 * 60 * 1000));
+}
+
 async function renderHeatmap() {
   if (!heatmapGrid) return;
 
@@ -834,11 +2154,16 @@ async function renderHeatmap() {
   startDate.setDate(startDate.getDate() - days + 1);
   startDate.setHours(0, 0, 0, 0);
 
-  // Fetch history
+  // Fetch history, plan changes and Claude Code activity in the visible window
   let history = [];
+  let planChanges = [];
+  let cliHours = new Map();
   try {
-    const result = await chrome.storage.local.get('usageHistory');
-    history = (result.usageHistory || []).filter(e => e.t >= startDate.getTime());
+    history = await getUsageHistory(startDate.getTime(), null, getViewedOrgId());
+    if (getViewedOrgId()) {
+      planChanges = (await getPlanHistory(getViewedOrgId())).filter(c => c.t >= startDate.getTime());
+    }
+    cliHours = getCliHours((await getCliUsage()).buckets, startDate.getTime());
   } catch (e) {
     console.error('[ClaudeKarma] Error loading history:', e);
   }
@@ -851,13 +2176,22 @@ async function renderHeatmap() {
 
   history.forEach(entry => {
     const date = new Date(entry.t);
-    const dayIndex = Math.floor((date.getTime() - startDate.getTime()) / (24 * 60 * 60 * 1000));
+    const dayIndex = getHeatmapDayIndex(startDate, entry.t);
     if (dayIndex >= 0 && dayIndex < days) {
       const block = Math.floor(date.getHours() / HOURS_PER_BLOCK);
       grid[dayIndex][block] = Math.max(grid[dayIndex][block], entry.s || 0);
     }
   });
 
+  // Plan changes keyed by "day:block" so the cell can be marked
+  const planMarks = {};
+  planChanges.forEach(change => {
+    const date = new Date(change.t);
+    const dayIndex = getHeatmapDayIndex(startDate, change.t);
+    const block = Math.floor(date.getHours() / HOURS_PER_BLOCK);
+    planMarks[`${dayIndex}:${block}`] = `${formatPlanTier(change.from)} → ${formatPlanTier(change.to)}`;
+  });
+
   // Clear
   while (heatmapGrid.firstChild) heatmapGrid.removeChild(heatmapGrid.firstChild);
   while (heatmapHours.firstChild) heatmapHours.removeChild(heatmapHours.firstChild);
@@ -900,46 +2234,264 @@ async function renderHeatmap() {
       const pct = grid[d][b];
       const dateStr = `${DAY_NAMES[date.getDay()]} ${SHORT_MONTHS[date.getMonth()]} ${date.getDate()}`;
       const timeStr = `${String(b).padStart(2, '0')}:00`;
+      const planMark = planMarks[`${d}:${b}`];
+      if (planMark) cell.classList.add('plan-change');
+
+      const hourStart = new Date(date);
+      hourStart.setHours(b, 0, 0, 0);
+      const cliHour = cliHours.get(hourStart.getTime());
+      if (cliHour) cell.classList.add('cli');
+      const cliText = cliHour
+        ? ` · Claude Code ${formatTokenCount(cliHour.tokens)} tokens (${cliHour.projects.join(', ')})`
+        : '';
 
       cell.addEventListener('mouseenter', (e) => {
-        heatmapTooltip.textContent = `${dateStr} ${timeStr} · ${pct}%`;
-        heatmapTooltip.classList.add('visible');
-        // Show first to measure, then position with edge detection
-        heatmapTooltip.style.visibility = 'hidden';
-        heatmapTooltip.style.left = '0px';
-        heatmapTooltip.style.top = '0px';
-        const ttRect = heatmapTooltip.getBoundingClientRect();
-        const ttW = ttRect.width;
-        const ttH = ttRect.height;
-        const popupW = document.documentElement.clientWidth;
-        const popupH = document.documentElement.clientHeight;
-        const margin = 8;
-        // Default: right of cursor
-        let left = e.clientX + margin;
-        let top = e.clientY - ttH - margin;
-        // If overflowing right edge, flip to left of cursor
-        if (left + ttW + margin > popupW) {
-          left = e.clientX - ttW - margin;
-        }
-        // Clamp to popup bounds
-        if (left < margin) left = margin;
-        if (top < margin) top = e.clientY + margin;
-        if (top + ttH + margin > popupH) top = popupH - ttH - margin;
-        heatmapTooltip.style.left = `${left}px`;
-        heatmapTooltip.style.top = `${top}px`;
-        heatmapTooltip.style.visibility = '';
-      });
-      cell.addEventListener('mouseleave', () => {
-        heatmapTooltip.classList.remove('visible');
+        showHeatmapTooltip(e, `${dateStr} ${timeStr} · ${pct}%` + (planMark ? ` · Plan ${planMark}` : '') + cliText);
       });
+      cell.addEventListener('mouseleave', hideHeatmapTooltip);
 
       row.appendChild(cell);
     }
 
     heatmapGrid.appendChild(row);
   }
+
+  renderPlanChangeNote(planChanges);
+  heatmapCliNote?.classList.toggle('hidden', cliHours.size === 0);
+}
+
+function showHeatmapTooltip(e, text) {
+  heatmapTooltip.textContent = text;
+  heatmapTooltip.classList.add('visible');
+  // Show first to measure, then position with edge detection
+  heatmapTooltip.style.visibility = 'hidden';
+  heatmapTooltip.style.left = '0px';
+  heatmapTooltip.style.top = '0px';
+  const ttRect = heatmapTooltip.getBoundingClientRect();
+  const ttW = ttRect.width;
+  const ttH = ttRect.height;
+  const popupW = document.documentElement.clientWidth;
+  const popupH = document.documentElement.clientHeight;
+  const margin = 8;
+  // Default: right of cursor
+  let left = e.clientX + margin;
+  let top = e.clientY - ttH - margin;
+  // If overflowing right edge, flip to left of cursor
+  if (left + ttW + margin > popupW) {
+    left = e.clientX - ttW - margin;
+  }
+  // Clamp to popup bounds
+  if (left < margin) left = margin;
+  if (top < margin) top = e.clientY + margin;
+  if (top + ttH + margin > popupH) top = popupH - ttH - margin;
+  heatmapTooltip.style.left = `${left}px`;
+  heatmapTooltip.style.top = `${top}px`;
+  heatmapTooltip.style.visibility = '';
+}
+
+function hideHeatmapTooltip() {
+  heatmapTooltip.classList.remove('visible');
+}
+
+/**
+ * One-line note under the heatmap so usage before/after a plan change
+ * isn't compared as if the limits were the same.
+ */
+function renderPlanChangeNote(planChanges) {
+  if (!heatmapPlanNote) return;
+
+  if (planChanges.length === 0) {
+    heatmapPlanNote.classList.add('hidden');
+    return;
+  }
+
+  const last = planChanges[planChanges.length - 1];
+  const date = new Date(last.t);
+  heatmapPlanNote.textContent =
+    `Plan changed ${SHORT_MONTHS[date.getMonth()]} ${date.getDate()}: ` +
+    `${formatPlanTier(last.from)} → ${formatPlanTier(last.to)} (marked cell)`;
+  heatmapPlanNote.classList.remove('hidden');
+}
+
+// ============================================
+// Routines Chart (14 days)
+// ============================================
+
+const routinesChartSection = document.getElementById('routines-chart-section');
+const routinesChart = document.getElementById('routines-chart');
+const routinesChartSummary = document.getElementById('routines-chart-summary');
+
+const ROUTINES_CHART_DAYS = 14;
+
+/**
+ * One column per day: highest routines usage that day vs. the budget,
+ * red when the budget ran out. Hidden until some routines history exists.
+ */
+async function renderRoutinesChart() {
+  if (!routinesChart) return;
+
+  let history = [];
+  try {
+    const start = Date.now() - ROUTINES_CHART_DAYS * 24 * 60 * 60 * 1000;
+    history = await getUsageHistory(start, null, getViewedOrgId());
+  } catch (e) {
+    console.error('[ClaudeKarma] Error loading history:', e);
+  }
+
+  const days = getDailyRoutinesUsage(history, ROUTINES_CHART_DAYS);
+  if (!days.some(d => d.limit)) {
+    routinesChartSection.classList.add('hidden');
+    return;
+  }
+
+  while (routinesChart.firstChild) routinesChart.removeChild(routinesChart.firstChild);
+
+  days.forEach((day, i) => {
+    const column = document.createElement('div');
+    column.className = 'routines-chart-col';
+
+    const track = document.createElement('div');
+    track.className = 'routines-chart-track';
+    const bar = document.createElement('div');
+    bar.className = 'routines-chart-bar' + (day.exhausted ? ' exhausted' : '');
+    const pct = day.limit ? Math.min(100, (day.used / day.limit) * 100) : 0;
+    bar.style.height = `${Math.max(pct, day.used ? 4 : 0)}%`;
+    track.appendChild(bar);
+    column.appendChild(track);
+
+    const label = document.createElement('div');
+    label.className = 'routines-chart-label';
+    label.textContent = i % 2 === 0 ? String(day.date.getDate()) : '';
+    column.appendChild(label);
+
+    const dateStr = `${DAY_NAMES[day.date.getDay()]} ${SHORT_MONTHS[day.date.getMonth()]} ${day.date.getDate()}`;
+    const text = day.limit
+      ? `${dateStr} · ${day.used} / ${day.limit}` + (day.exhausted ? ' · exhausted' : '')
+      : `${dateStr} · no data`;
+    column.addEventListener('mouseenter', (e) => showHeatmapTooltip(e, text));
+    column.addEventListener('mouseleave', hideHeatmapTooltip);
+
+    routinesChart.appendChild(column);
+  });
+
+  const exhaustedDays = days.filter(d => d.exhausted).length;
+  routinesChartSummary.textContent = exhaustedDays === 0
+    ? 'never ran out'
+    : `ran out on ${exhaustedDays} day${exhaustedDays > 1 ? 's' : ''}`;
+
+  routinesChartSection.classList.remove('hidden');
+}
+
+// ============================================
+// Session Log
+// ============================================
+
+const sessionsSection = document.getElementById('sessions-section');
+const sessionsList = document.getElementById('sessions-list');
+const sessionsSummary = document.getElementById('sessions-summary');
+const sessionsRange = document.getElementById('sessions-range');
+const sessionsPrevBtn = document.getElementById('sessions-prev');
+const sessionsNextBtn = document.getElementById('sessions-next');
+
+const SESSIONS_PAGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Weeks back from now (0 = the last 7 days)
+let sessionsPage = 0;
+
+function formatShortDate(timestamp) {
+  const date = new Date(timestamp);
+  return `${SHORT_MONTHS[date.getMonth()]} ${date.getDate()}`;
 }
 
+/**
+ * 5-hour sessions (lib/sessions.js), newest first, a rolling week per
+ * page: when each ran, how high it went and how fast it ran out.
+ * Hidden until the first session is recorded.
+ */
+async function renderSessionLog() {
+  if (!sessionsList) return;
+
+  let log = { open: null, sessions: [] };
+  try {
+    log = await getSessionLog(getViewedOrgId());
+  } catch (e) {
+    console.error('[ClaudeKarma] Error loading session log:', e);
+  }
+
+  const now = Date.now();
+  const sessions = [...log.sessions];
+  if (log.open) sessions.push({ ...closeSession(log.open, now), current: true });
+
+  if (sessions.length === 0) {
+    sessionsSection.classList.add('hidden');
+    return;
+  }
+
+  const pageEnd = now - sessionsPage * SESSIONS_PAGE_MS;
+  const pageStart = pageEnd - SESSIONS_PAGE_MS;
+  const onPage = sessions.filter(s => s.start >= pageStart && s.start < pageEnd).reverse();
+
+  sessionsRange.textContent = sessionsPage === 0
+    ? 'Last 7 days'
+    : `${formatShortDate(pageStart)} – ${formatShortDate(pageEnd)}`;
+  sessionsPrevBtn.disabled = pageStart <= sessions[0].start;
+  sessionsNextBtn.disabled = sessionsPage === 0;
+
+  const summary = summarizeSessions(onPage);
+  sessionsSummary.textContent = summary.count === 0
+    ? ''
+    : [
+      `${summary.count} session${summary.count === 1 ? '' : 's'}`,
+      `${summary.hits} hit the limit`,
+      `avg peak ${Math.round(summary.avgPeak)}%`,
+      ...(summary.fastestExhaustMs !== null ? [`fastest out in ${formatDelta(summary.fastestExhaustMs)}`] : [])
+    ].join(' · ');
+
+  while (sessionsList.firstChild) sessionsList.removeChild(sessionsList.firstChild);
+
+  if (onPage.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'sessions-empty';
+    empty.textContent = 'No sessions in this week';
+    sessionsList.appendChild(empty);
+  }
+
+  onPage.forEach(session => {
+    const row = document.createElement('div');
+    row.className = 'session-row';
+
+    const time = document.createElement('span');
+    time.className = 'session-time';
+    const day = DAY_NAMES[new Date(session.start).getDay()];
+    time.textContent = `${day} ${formatClockTime(session.start)}–${session.current ? 'now' : formatClockTime(session.end)}`;
+    time.title = `${formatShortDate(session.start)}, ${formatDelta(session.end - session.start)}` +
+      (session.current ? ' so far' : '');
+
+    const meta = document.createElement('span');
+    meta.className = 'session-meta' + (session.hit ? ' hit' : '');
+    meta.textContent = session.hit
+      ? `peak ${session.peak}% · out in ${formatDelta(session.timeToExhaustMs)}`
+      : `peak ${session.peak}%`;
+    if (session.hit) meta.title = `Limit hit at ${formatClockTime(session.hitAt)}`;
+
+    row.appendChild(time);
+    row.appendChild(meta);
+    sessionsList.appendChild(row);
+  });
+
+  sessionsSection.classList.remove('hidden');
+}
+
+sessionsPrevBtn?.addEventListener('click', () => {
+  sessionsPage++;
+  renderSessionLog();
+});
+
+sessionsNextBtn?.addEventListener('click', () => {
+  sessionsPage = Math.max(0, sessionsPage - 1);
+  renderSessionLog();
+});
+
 heatmapWeekBtn?.addEventListener('click', () => {
   heatmapPeriod = 'week';
   heatmapWeekBtn.classList.add('active');
@@ -964,21 +2516,40 @@ elements.saveOrgBtn?.addEventListener('click', handleSaveOrgId);
 elements.settingsBtn?.addEventListener('click', openSettings);
 elements.settingsBack?.addEventListener('click', closeSettings);
 elements.tipsBtn?.addEventListener('click', handleTipsClick);
+elements.routinesUpcomingToggle?.addEventListener('click', toggleUpcomingRoutines);
 elements.clearHistoryBtn?.addEventListener('click', handleClearHistory);
 elements.resetSetupBtn?.addEventListener('click', handleResetSetup);
+elements.orgSelect?.addEventListener('change', handleOrgChange);
+elements.orgPrimaryBtn?.addEventListener('click', handleSetPrimaryOrg);
 
 // Settings auto-save on change
 elements.settingNotifications?.addEventListener('change', () => {
-  if (elements.thresholdOptions) {
-    elements.thresholdOptions.style.opacity = elements.settingNotifications.checked ? '1' : '0.4';
-    elements.thresholdOptions.style.pointerEvents = elements.settingNotifications.checked ? 'auto' : 'none';
-  }
+  updateNotificationOptionsState();
   saveSettings();
 });
 elements.threshold75?.addEventListener('change', saveSettings);
 elements.threshold90?.addEventListener('change', saveSettings);
 elements.threshold100?.addEventListener('change', saveSettings);
+elements.settingForecastAlerts?.addEventListener('change', saveSettings);
+elements.settingPaceAlerts?.addEventListener('change', saveSettings);
+elements.routineThresholdOptions?.querySelectorAll('input').forEach(input => {
+  input.addEventListener('change', saveSettings);
+});
 elements.settingRefreshInterval?.addEventListener('change', saveSettings);
+elements.settingAdaptiveRefresh?.addEventListener('change', saveSettings);
+elements.settingExternalAllowlist?.addEventListener('change', saveSettings);
+elements.settingNativeBridge?.addEventListener('change', handleNativeBridgeToggle);
+elements.settingClaudeCodeLogs?.addEventListener('change', handleClaudeCodeLogsToggle);
+elements.settingStatusPageUrl?.addEventListener('change', saveSettings);
+elements.webhookAddBtn?.addEventListener('click', handleWebhookAdd);
+elements.settingMetricsFormat?.addEventListener('change', () => {
+  updateMetricsUrlPlaceholder();
+  saveSettings();
+});
+elements.settingMetricsUrl?.addEventListener('change', saveSettings);
+elements.settingMetricsHeaders?.addEventListener('change', saveSettings);
+elements.metricsPushBtn?.addEventListener('click', handleMetricsPush);
+elements.statusPageCheckBtn?.addEventListener('click', handleStatusPageCheck);
 
 elements.orgIdInput?.addEventListener('keypress', (e) => {
   if (e.key === 'Enter') {
@@ -986,8 +2557,38 @@ elements.orgIdInput?.addEventListener('keypress', (e) => {
   }
 });
 
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'managed') applyManagedSettings();
+
+  if (areaName === 'local' && changes[STORAGE_KEYS.SERVICE_STATUS]) {
+    serviceStatus = changes[STORAGE_KEYS.SERVICE_STATUS].newValue || null;
+    renderIncidentBanner();
+    renderStatusPageStatus();
+  }
+
+  // A scan finished: redraw the card, the heatmap dots and the settings hint
+  if (areaName === 'local' && changes[STORAGE_KEYS.CLI_USAGE]) {
+    fetchData();
+    renderHeatmap();
+    if (elements.settingsPanel?.classList.contains('open')) {
+      renderClaudeCodeLogsStatus(elements.settingClaudeCodeLogs?.checked);
+    }
+  }
+
+  if (areaName === 'local' && changes[STORAGE_KEYS.METRICS_EXPORT_STATE] && elements.settingsPanel?.classList.contains('open')) {
+    renderMetricsExportStatus();
+  }
+
+  // Retries land in the log while settings are open
+  if (areaName === 'local' && changes[STORAGE_KEYS.WEBHOOK_LOG] && elements.settingsPanel?.classList.contains('open')) {
+    renderWebhookLog();
+  }
+});
+
 chrome.runtime.onMessage.addListener((message) => {
   if (message.type === MESSAGE_TYPES.USAGE_DATA_UPDATED) {
+    // Ignore updates for organizations other than the one on screen
+    if (message.orgId && getViewedOrgId() && message.orgId !== getViewedOrgId()) return;
     renderUsageData(message.data);
   }
 });
@@ -1015,7 +2616,8 @@ function stopCountdownTimer() {
 // Initialization
 // ============================================
 
-fetchData();
+// Policy first, so the org switcher renders with it applied
+applyManagedSettings().then(fetchData);
 startCountdownTimer();
 checkTipsViewed();
 window.addEventListener('unload', stopCountdownTimer);
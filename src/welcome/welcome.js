@@ -5,3 +5,13 @@
 document.getElementById('close-btn').addEventListener('click', function() {
   window.close();
 });
+
+// Administrators can turn off links to tokenkarma.app
+chrome.storage.managed.get('disableExternalLinks').then(function(policy) {
+  if (!policy?.disableExternalLinks) return;
+  document.querySelectorAll('a[href^="https://tokenkarma.app"]').forEach(function(link) {
+    (link.closest('.tip-callout') || link).remove();
+  });
+}).catch(function() {
+  // No managed storage (e.g. Firefox without a policy)
+});